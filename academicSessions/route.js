@@ -0,0 +1,163 @@
+const express = require('express');
+const router = express.Router();
+const { AcademicSession, Student, Result } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { getCurrentSession, setCurrentSession, findSession } = require('../utils/academicSession');
+const { parseListQuery, findPage } = require('../utils/pagination');
+
+const SESSION_LIST = {
+  sortFields: ['name', 'startDate', 'endDate', 'status', 'createdAt'],
+  defaultSort: { startDate: -1, _id: 1 },
+  searchFields: ['name'],
+};
+
+const formatSession = (session, current) => ({
+  id: session._id,
+  name: session.name,
+  startDate: session.startDate,
+  endDate: session.endDate,
+  status: session.status,
+  isCurrent: !!current && current._id.equals(session._id),
+  closedAt: session.closedAt,
+  createdAt: session.createdAt,
+});
+
+// Attach records created before sessions existed to a session
+const adoptUnassignedRecords = async (session) => {
+  const results = await Result.updateMany({ session: null }, { $set: { session: session._id } });
+  const students = await Student.updateMany({ session: null }, { $set: { session: session._id } })
+    .setOptions({ withDeleted: true });
+  await Student.updateMany(
+    { 'paymentDetails.session': null },
+    { $set: { 'paymentDetails.$[payment].session': session._id } },
+    { arrayFilters: [{ 'payment.session': null }] }
+  ).setOptions({ withDeleted: true });
+
+  return { results: results.modifiedCount, students: students.modifiedCount };
+};
+
+// ✅ List academic sessions (?page, ?limit, ?search, ?sort)
+router.get('/academic-sessions', authenticateToken, async (req, res) => {
+  try {
+    const list = parseListQuery(req, SESSION_LIST);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const current = await getCurrentSession();
+    const { data, pagination } = await findPage(AcademicSession, {}, list);
+
+    res.json({
+      message: `${pagination.total} academic sessions found`,
+      data: data.map(session => formatSession(session, current)),
+      pagination
+    });
+  } catch (err) {
+    console.error('Get academic sessions error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Current academic session
+router.get('/academic-sessions/current', authenticateToken, async (req, res) => {
+  try {
+    const current = await getCurrentSession();
+    if (!current) {
+      return res.status(404).json({ message: 'No current academic session has been set' });
+    }
+    res.json({ session: formatSession(current, current) });
+  } catch (err) {
+    console.error('Get current academic session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Create an academic session (super admin only)
+// makeCurrent: true also sets it as current; adoptExisting: true attaches records that have no session yet
+router.post('/academic-sessions', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { name, startDate, endDate, makeCurrent = false, adoptExisting = false } = req.body;
+
+    if (!name || !startDate || !endDate) {
+      return res.status(400).json({ message: 'name, startDate and endDate are required' });
+    }
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      return res.status(400).json({ message: 'startDate must be a valid date before endDate' });
+    }
+
+    const existing = await AcademicSession.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ message: `Academic session ${name} already exists` });
+    }
+
+    const session = await AcademicSession.create({
+      name,
+      startDate: start,
+      endDate: end,
+      createdBy: req.currentUser._id
+    });
+
+    if (makeCurrent) await setCurrentSession(session, req.currentUser);
+    const adopted = adoptExisting ? await adoptUnassignedRecords(session) : null;
+
+    res.status(201).json({
+      message: 'Academic session created successfully',
+      session: formatSession(session, makeCurrent ? session : await getCurrentSession()),
+      ...(adopted && { adopted })
+    });
+  } catch (err) {
+    console.error('Create academic session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Set the current academic session (super admin only)
+router.put('/academic-sessions/:id/current', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { session, status, message } = await findSession(req.params.id);
+    if (!session) return res.status(status).json({ message });
+
+    if (session.status === 'closed') {
+      return res.status(400).json({ message: 'A closed session cannot be made current' });
+    }
+
+    await setCurrentSession(session, req.currentUser);
+    res.json({ message: `${session.name} is now the current academic session`, session: formatSession(session, session) });
+  } catch (err) {
+    console.error('Set current academic session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Close an academic session; its results and payments become read-only (super admin only)
+router.post('/academic-sessions/:id/close', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { session, status, message } = await findSession(req.params.id);
+    if (!session) return res.status(status).json({ message });
+
+    if (session.status === 'closed') {
+      return res.status(400).json({ message: `Academic session ${session.name} is already closed` });
+    }
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    session.closedBy = req.currentUser._id;
+    await session.save();
+
+    const current = await getCurrentSession();
+    res.json({
+      message: `Academic session ${session.name} closed`,
+      session: formatSession(session, current),
+      ...(current && current._id.equals(session._id) && {
+        warning: 'This is still the current session; set a new current session before entering results'
+      })
+    });
+  } catch (err) {
+    console.error('Close academic session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
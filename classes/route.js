@@ -0,0 +1,398 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { User, Student, Result, Class, Section } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { studentScope } = require('../utils/policy');
+const { normalizeClassName, normalizeSectionName, heldRolls } = require('../utils/classes');
+const { classSubjects } = require('../utils/subjects');
+const { runInTransaction } = require('../utils/transaction');
+
+const ROLL_ORDERS = ['name', 'admission', 'merit'];
+
+const formatSection = (section, enrolled) => ({
+  id: section._id,
+  class: section.class,
+  name: section.name,
+  capacity: section.capacity,
+  enrolled,
+  classTeacher: section.classTeacher,
+  subjects: section.subjects,
+  createdAt: section.createdAt,
+});
+
+// Enrolled (not graduated) students per class + section name
+const enrollmentCounts = async (className) => {
+  const counts = await Student.aggregate([
+    { $match: { class: className, graduatedAt: null, deletedAt: null } },
+    { $group: { _id: '$section', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(c => [c._id, c.count]));
+};
+
+// Validate capacity, class teacher and subjects (names of the class's subjects) from a request body
+const parseSectionFields = async (body, className) => {
+  const fields = {};
+
+  if (body.capacity !== undefined) {
+    if (body.capacity !== null && (!Number.isInteger(body.capacity) || body.capacity < 1)) {
+      return { error: 'Capacity must be a positive whole number or null' };
+    }
+    fields.capacity = body.capacity;
+  }
+
+  if (body.classTeacher !== undefined) {
+    if (body.classTeacher) {
+      const teacher = mongoose.Types.ObjectId.isValid(body.classTeacher)
+        && await User.findOne({ _id: body.classTeacher, role: 'teacher' });
+      if (!teacher) return { error: 'Class teacher must be an existing teacher' };
+    }
+    fields.classTeacher = body.classTeacher || null;
+  }
+
+  if (body.subjects !== undefined) {
+    if (!Array.isArray(body.subjects) || body.subjects.some(s => typeof s !== 'string' || !s.trim())) {
+      return { error: 'Subjects must be a list of subject names' };
+    }
+    const available = (await classSubjects(className)).map(s => s.name);
+    const unknown = body.subjects.map(s => s.trim()).filter(s => !available.includes(s));
+    if (unknown.length > 0) {
+      return { error: `Not subjects of Class ${className}: ${unknown.join(', ')}` };
+    }
+    fields.subjects = [...new Set(body.subjects.map(s => s.trim()))];
+  }
+
+  return { fields };
+};
+
+// Latest result per student in their current class and enrollment session
+const latestResults = async (students, className) => {
+  const results = await Result.find({ student: { $in: students.map(s => s._id) }, class: className })
+    .sort({ createdAt: -1 });
+
+  const enrolledSession = new Map(students.map(s => [String(s._id), s.session]));
+  const latest = new Map();
+  for (const result of results) {
+    const studentId = String(result.student);
+    const session = enrolledSession.get(studentId);
+    if (session && !session.equals(result.session)) continue;
+    if (!latest.has(studentId)) latest.set(studentId, result);
+  }
+  return latest;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name) || a.userName.localeCompare(b.userName);
+
+/**
+ * New rolls from 1 for the enrolled students of a section, skipping rolls
+ * still held by archived and graduated students
+ * - name: alphabetical
+ * - admission: earliest enrolled first
+ * - merit: best GPA, then total marks, of the latest result; students without one go last
+ * @returns {Promise<Array>} Rows in the new roll order
+ */
+const buildRollPlan = async (section, order) => {
+  const students = await Student.find({ class: section.class.name, section: section.name, graduatedAt: null })
+    .select('name userName roll createdAt session');
+
+  let compare = byName;
+  let latest = new Map();
+  if (order === 'admission') {
+    compare = (a, b) => a.createdAt - b.createdAt || byName(a, b);
+  } else if (order === 'merit') {
+    latest = await latestResults(students, section.class.name);
+    const score = s => latest.get(String(s._id));
+    compare = (a, b) => {
+      const ra = score(a);
+      const rb = score(b);
+      if (!ra || !rb) return (ra ? 0 : 1) - (rb ? 0 : 1) || byName(a, b);
+      return rb.averageGPA - ra.averageGPA || rb.totalMarks - ra.totalMarks || byName(a, b);
+    };
+  }
+
+  const held = await heldRolls(section, section.class.name);
+  let roll = 0;
+  return [...students].sort(compare).map((student) => {
+    const result = latest.get(String(student._id));
+    do {
+      roll++;
+    } while (held.has(roll));
+    return {
+      student,
+      newRoll: roll,
+      ...(order === 'merit' && {
+        averageGPA: result ? result.averageGPA : null,
+        totalMarks: result ? result.totalMarks : null,
+      }),
+    };
+  });
+};
+
+const formatRollRow = ({ student, newRoll, ...merit }) => ({
+  studentId: student._id,
+  name: student.name,
+  userName: student.userName,
+  currentRoll: student.roll,
+  newRoll,
+  changed: student.roll !== newRoll,
+  ...merit,
+});
+
+/**
+ * Load the section named in the URL and check the order and the caller's reach:
+ * admins may only resequence sections whose students they all manage
+ * @returns {Promise<{ section, order }|{ status: number, message: string }>}
+ */
+const parseResequenceRequest = async (req) => {
+  const order = req.body.order || 'name';
+  if (!ROLL_ORDERS.includes(order)) {
+    return { status: 400, message: `order must be one of: ${ROLL_ORDERS.join(', ')}` };
+  }
+
+  const section = await Section.findById(req.params.id).populate('class');
+  if (!section) return { status: 404, message: 'Section not found' };
+
+  const filter = { class: section.class.name, section: section.name, graduatedAt: null };
+  const [total, managed] = await Promise.all([
+    Student.countDocuments(filter),
+    Student.countDocuments({ ...(await studentScope(req.currentUser)), ...filter }),
+  ]);
+  if (managed < total) {
+    return { status: 403, message: 'This section has students you do not manage' };
+  }
+
+  return { section, order };
+};
+
+// ✅ List classes with their sections
+router.get('/classes', authenticateToken, requireRole(['super_admin', 'admin', 'teacher']), async (req, res) => {
+  try {
+    const classes = await Class.find().sort({ level: 1 });
+    const sections = await Section.find({ class: { $in: classes.map(c => c._id) } })
+      .populate('classTeacher', 'firstName lastName email')
+      .sort({ name: 1 });
+
+    const data = [];
+    for (const classDoc of classes) {
+      const counts = await enrollmentCounts(classDoc.name);
+      data.push({
+        id: classDoc._id,
+        name: classDoc.name,
+        level: classDoc.level,
+        displayName: classDoc.displayName,
+        sections: sections
+          .filter(s => s.class.equals(classDoc._id))
+          .map(s => formatSection(s, counts.get(s.name) || 0)),
+      });
+    }
+
+    res.json({ message: `${classes.length} classes found`, classes: data });
+  } catch (err) {
+    console.error('Get classes error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Create a class ("6", "06", "Six" and "Class 6" are all stored as "6")
+router.post('/classes', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const name = normalizeClassName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ message: 'A valid class name is required (e.g. "6")' });
+    }
+
+    const existing = await Class.findOne({ name });
+    if (existing) {
+      return res.status(400).json({ message: `Class ${name} already exists` });
+    }
+
+    const classDoc = await Class.create({
+      name,
+      level: Number(name),
+      displayName: req.body.displayName || `Class ${name}`,
+      createdBy: req.currentUser._id
+    });
+
+    res.status(201).json({ message: 'Class created successfully', class: classDoc });
+  } catch (err) {
+    console.error('Create class error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Update a class's display name (the canonical name cannot change)
+router.put('/classes/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+    if (!classDoc) return res.status(404).json({ message: 'Class not found' });
+
+    if (!req.body.displayName || !req.body.displayName.trim()) {
+      return res.status(400).json({ message: 'displayName is required' });
+    }
+    classDoc.displayName = req.body.displayName.trim();
+    await classDoc.save();
+
+    res.json({ message: 'Class updated successfully', class: classDoc });
+  } catch (err) {
+    console.error('Update class error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Delete a class that has no sections
+router.delete('/classes/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+    if (!classDoc) return res.status(404).json({ message: 'Class not found' });
+
+    const sectionCount = await Section.countDocuments({ class: classDoc._id });
+    if (sectionCount > 0) {
+      return res.status(400).json({ message: 'Delete the sections of this class first' });
+    }
+
+    await Class.deleteOne({ _id: classDoc._id });
+    res.json({ message: 'Class deleted successfully' });
+  } catch (err) {
+    console.error('Delete class error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Add a section to a class
+// Body: name, capacity (optional), classTeacher (optional teacher id), subjects (default: all of the class's subjects)
+router.post('/classes/:id/sections', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const classDoc = await Class.findById(req.params.id);
+    if (!classDoc) return res.status(404).json({ message: 'Class not found' });
+
+    const name = normalizeSectionName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ message: 'Section name is required' });
+    }
+
+    const existing = await Section.findOne({ class: classDoc._id, name });
+    if (existing) {
+      return res.status(400).json({ message: `Section ${name} already exists in Class ${classDoc.name}` });
+    }
+
+    const { fields, error } = await parseSectionFields(req.body, classDoc.name);
+    if (error) return res.status(400).json({ message: error });
+
+    const section = await Section.create({
+      ...fields,
+      class: classDoc._id,
+      name,
+      createdBy: req.currentUser._id
+    });
+
+    res.status(201).json({ message: 'Section created successfully', section: formatSection(section, 0) });
+  } catch (err) {
+    console.error('Create section error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Update a section's capacity, class teacher or subjects
+router.put('/sections/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.id).populate('class');
+    if (!section) return res.status(404).json({ message: 'Section not found' });
+
+    const { fields, error } = await parseSectionFields(req.body, section.class.name);
+    if (error) return res.status(400).json({ message: error });
+
+    const counts = await enrollmentCounts(section.class.name);
+    const enrolled = counts.get(section.name) || 0;
+    if (fields.capacity && fields.capacity < enrolled) {
+      return res.status(400).json({ message: `Capacity cannot be below the ${enrolled} students already enrolled` });
+    }
+
+    Object.assign(section, fields);
+    await section.save();
+
+    res.json({ message: 'Section updated successfully', section: formatSection(section, enrolled) });
+  } catch (err) {
+    console.error('Update section error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Delete a section with no enrolled students
+router.delete('/sections/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.id).populate('class');
+    if (!section) return res.status(404).json({ message: 'Section not found' });
+
+    const enrolled = await Student.countDocuments({ class: section.class.name, section: section.name })
+      .setOptions({ withDeleted: true });
+    if (enrolled > 0) {
+      return res.status(400).json({ message: `Section still has ${enrolled} students (including archived and graduated)` });
+    }
+
+    await Section.deleteOne({ _id: section._id });
+    res.json({ message: 'Section deleted successfully' });
+  } catch (err) {
+    console.error('Delete section error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Preview new rolls for a section without changing anything
+// Body: order ("name", "admission" or "merit"; default "name")
+router.post('/sections/:id/rolls/preview', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const request = await parseResequenceRequest(req);
+    if (request.status) return res.status(request.status).json({ message: request.message });
+
+    const rows = await buildRollPlan(request.section, request.order);
+    res.json({
+      message: `${rows.filter(r => r.student.roll !== r.newRoll).length} of ${rows.length} rolls would change`,
+      class: request.section.class.name,
+      section: request.section.name,
+      order: request.order,
+      students: rows.map(formatRollRow),
+    });
+  } catch (err) {
+    console.error('Roll preview error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Renumber a section's rolls from 1 in the given order, skipping rolls held by
+// archived and graduated students (same body as the preview)
+router.post('/sections/:id/rolls/resequence', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const request = await parseResequenceRequest(req);
+    if (request.status) return res.status(request.status).json({ message: request.message });
+
+    const { section, order } = request;
+    const rows = await buildRollPlan(section, order);
+    const changed = rows.filter(r => r.student.roll !== r.newRoll);
+    // Archived and graduated students keep their rolls, so automatic rolls never go below theirs
+    const held = await heldRolls(section, section.class.name);
+    const lastRoll = Math.max(rows.length > 0 ? rows[rows.length - 1].newRoll : 0, ...held);
+
+    await runInTransaction(async (session) => {
+      if (changed.length > 0) {
+        await Student.bulkWrite(changed.map(r => ({
+          updateOne: { filter: { _id: r.student._id }, update: { $set: { roll: r.newRoll } } },
+        })), { session });
+      }
+      // Automatic rolls continue after the new last roll
+      await Section.updateOne({ _id: section._id }, { $set: { lastRoll } }, { session });
+    });
+
+    res.json({
+      message: `${changed.length} of ${rows.length} rolls updated`,
+      class: section.class.name,
+      section: section.name,
+      order,
+      students: rows.map(formatRollRow),
+    });
+  } catch (err) {
+    console.error('Roll resequence error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,39 @@
 // gradeUtils.js
-module.exports = function getGrade(marks) {
+// Bands used when no grading scale applies (and by results graded before scales existed)
+const DEFAULT_BANDS = [
+  { minPercent: 80, grade: "A+", gpa: 5.0 },
+  { minPercent: 70, grade: "A", gpa: 4.0 },
+  { minPercent: 60, grade: "A-", gpa: 3.5 },
+  { minPercent: 50, grade: "B", gpa: 3.0 },
+  { minPercent: 40, grade: "C", gpa: 2.0 },
+  { minPercent: 33, grade: "D", gpa: 1.0 },
+  { minPercent: 0, grade: "F", gpa: 0.0 },
+];
+
+// Highest band first
+const byMinPercent = bands => [...bands].sort((a, b) => b.minPercent - a.minPercent);
+
+/**
+ * Grade and GPA point for a percentage
+ * @param {number} marks - Percentage (0-100)
+ * @param {Array<{ minPercent, grade, gpa }>} [bands] - Grading scale bands (default: DEFAULT_BANDS)
+ */
+function getGrade(marks, bands = DEFAULT_BANDS) {
   marks = Number(marks) || 0;
-  if (marks >= 80) return { grade: "A+", gpa: 5.0 };
-  if (marks >= 70) return { grade: "A",  gpa: 4.0 };
-  if (marks >= 60) return { grade: "A-", gpa: 3.5 };
-  if (marks >= 50) return { grade: "B",  gpa: 3.0 };
-  if (marks >= 40) return { grade: "C",  gpa: 2.0 };
-  if (marks >= 33) return { grade: "D",  gpa: 1.0 };
-  return { grade: "F", gpa: 0.0 };
-};
+  const band = byMinPercent(bands).find(b => marks >= b.minPercent);
+  return band ? { grade: band.grade, gpa: band.gpa } : { grade: "F", gpa: 0.0 };
+}
+
+// Overall letter grade for an average GPA: the best band whose GPA point it reaches
+function gradeForGpa(gpa, bands = DEFAULT_BANDS) {
+  const band = [...bands].sort((a, b) => b.gpa - a.gpa).find(b => gpa >= b.gpa);
+  return band ? band.grade : byMinPercent(bands).slice(-1)[0].grade;
+}
+
+// Grade of the lowest band (a fail) in a result's grading scale
+function failingGrade(result) {
+  const bands = result.grading && result.grading.bands.length > 0 ? result.grading.bands : DEFAULT_BANDS;
+  return byMinPercent(bands).slice(-1)[0].grade;
+}
+
+module.exports = { DEFAULT_BANDS, getGrade, gradeForGpa, failingGrade };
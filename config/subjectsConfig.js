@@ -1,3 +1,5 @@
+// Initial subjects per class. Subjects are managed through /subjects now; this list
+// is only read by database/migrations/seedSubjects.js and normalizeClasses.js.
 module.exports = {
   1: ["Bangla", "English", "Math", "Religion"],
   2: ["Bangla", "English", "Math", "Science", "Religion"],
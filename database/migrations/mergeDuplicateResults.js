@@ -0,0 +1,82 @@
+// Merge results submitted more than once for the same student, session, semester and
+// exam type. The newest submission is kept, each earlier resubmission becomes an
+// amendment on it ("Resubmitted"), and the older documents are removed. Run it before
+// deploying the unique result index: the index cannot be built while duplicates exist.
+//
+// Usage: node database/migrations/mergeDuplicateResults.js [--dry-run]
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../connectDB');
+const { Result } = require('../../model/schema');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const MARK_FIELDS = ['mcqScore', 'mcqTotal', 'cqScore', 'cqTotal'];
+
+// Field changes from one submission's marks to the next
+const diffMarks = (before, after) => {
+  const changes = [];
+  for (const mark of after.marks) {
+    const previous = before.marks.find(m => m.subject === mark.subject);
+    for (const field of MARK_FIELDS) {
+      const from = previous ? previous[field] ?? 0 : null;
+      const to = mark[field] ?? 0;
+      if (from !== to) changes.push({ subject: mark.subject, field, from, to });
+    }
+  }
+  return changes;
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(dryRun ? 'Dry run: no changes will be written' : 'Merging duplicate results');
+
+  const groups = await Result.aggregate([
+    { $group: {
+      _id: { student: '$student', session: '$session', semester: '$semester', examType: '$examType' },
+      ids: { $push: '$_id' },
+      count: { $sum: 1 },
+    } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  let removed = 0;
+  for (const group of groups) {
+    const results = await Result.find({ _id: { $in: group.ids } }).sort({ createdAt: 1 }).lean();
+    const kept = results[results.length - 1];
+
+    const amendments = [];
+    for (let i = 1; i < results.length; i++) {
+      amendments.push({
+        version: i + 1,
+        changes: diffMarks(results[i - 1], results[i]),
+        reason: 'Resubmitted',
+        changedBy: null,
+        changedAt: results[i].createdAt,
+      });
+    }
+
+    const { student, semester, examType } = group._id;
+    console.log(`Student ${student} ${semester} ${examType}: keep ${kept._id}, merge ${results.length - 1} earlier submissions`);
+    removed += results.length - 1;
+    if (dryRun) continue;
+
+    await Result.updateOne(
+      { _id: kept._id },
+      { $set: { version: results.length, amendments, updatedAt: kept.createdAt } }
+    );
+    await Result.deleteMany({ _id: { $in: results.slice(0, -1).map(r => r._id) } });
+  }
+
+  if (!dryRun) await Result.syncIndexes();
+  console.log(`Results: ${groups.length} merged, ${removed} duplicate submissions ${dryRun ? 'to remove' : 'removed'}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Result merge failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,149 @@
+// Normalise free-text class/section values ("06", "Six" -> "6"; "a" -> "A") on students,
+// results, teacher assignments and pending invitations, then create the matching
+// Class and Section documents.
+//
+// Usage: node database/migrations/normalizeClasses.js [--dry-run]
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../connectDB');
+const { User, Student, Result, Invitation, Class, Section } = require('../../model/schema');
+const subjectsConfig = require('../../config/subjectsConfig');
+const { normalizeClassName, normalizeSectionName } = require('../../utils/classes');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const unknown = [];
+
+// Rewrite every distinct raw value of a field to its canonical form
+const normalizeField = async (Model, field, normalize, label) => {
+  const values = await Model.distinct(field).setOptions({ withDeleted: true });
+  let changed = 0;
+
+  for (const raw of values) {
+    const canonical = normalize(raw);
+    if (!canonical) {
+      const count = await Model.countDocuments({ [field]: raw }).setOptions({ withDeleted: true });
+      unknown.push(`${label} ${field} "${raw}" (${count} documents)`);
+      continue;
+    }
+    if (canonical === raw) continue;
+
+    if (dryRun) {
+      const count = await Model.countDocuments({ [field]: raw }).setOptions({ withDeleted: true });
+      console.log(`${label}: ${field} "${raw}" -> "${canonical}" (${count} documents)`);
+      changed += count;
+    } else {
+      const result = await Model.updateMany({ [field]: raw }, { $set: { [field]: canonical } })
+        .setOptions({ withDeleted: true });
+      changed += result.modifiedCount;
+    }
+  }
+
+  console.log(`${label}.${field}: ${changed} documents ${dryRun ? 'would change' : 'updated'}`);
+};
+
+// Normalise embedded assignedClasses arrays
+const normalizeAssignments = async (Model, filter, label, pairs) => {
+  const docs = await Model.find({ ...filter, 'assignedClasses.0': { $exists: true } })
+    .setOptions({ withDeleted: true })
+    .select('assignedClasses');
+  let changed = 0;
+
+  for (const doc of docs) {
+    const assignedClasses = doc.assignedClasses.map((cls) => {
+      const className = normalizeClassName(cls.class);
+      const sectionName = normalizeSectionName(cls.section);
+      if (!className || !sectionName) {
+        unknown.push(`${label} ${doc._id} assignment "${cls.class}" / "${cls.section}"`);
+        return cls.toObject();
+      }
+      pairs.add(`${className}|${sectionName}`);
+      return { ...cls.toObject(), class: className, section: sectionName };
+    });
+
+    const before = doc.assignedClasses.map(c => `${c.class}|${c.section}`).join(',');
+    const after = assignedClasses.map(c => `${c.class}|${c.section}`).join(',');
+    if (before === after) continue;
+
+    changed++;
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: { assignedClasses } }).setOptions({ withDeleted: true });
+    }
+  }
+
+  console.log(`${label}.assignedClasses: ${changed} documents ${dryRun ? 'would change' : 'updated'}`);
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(dryRun ? 'Dry run: no changes will be written' : 'Normalising class and section values');
+
+  await normalizeField(Student, 'class', normalizeClassName, 'Student');
+  await normalizeField(Student, 'section', normalizeSectionName, 'Student');
+  await normalizeField(Result, 'class', normalizeClassName, 'Result');
+
+  // Class/section pairs in use (aggregate includes archived students)
+  const pairs = new Set();
+  const studentPairs = await Student.aggregate([{ $group: { _id: { class: '$class', section: '$section' } } }]);
+  for (const { _id } of studentPairs) {
+    const className = normalizeClassName(_id.class);
+    const sectionName = normalizeSectionName(_id.section);
+    if (className && sectionName) pairs.add(`${className}|${sectionName}`);
+  }
+
+  await normalizeAssignments(User, {}, 'User', pairs);
+  await normalizeAssignments(Invitation, { status: 'pending' }, 'Invitation', pairs);
+
+  // Class and Section documents
+  const classNames = new Set([...Object.keys(subjectsConfig), ...[...pairs].map(p => p.split('|')[0])]);
+  let createdClasses = 0;
+  let createdSections = 0;
+  const classIds = new Map();
+
+  for (const name of [...classNames].sort((a, b) => Number(a) - Number(b))) {
+    let classDoc = await Class.findOne({ name });
+    if (!classDoc) {
+      createdClasses++;
+      if (!dryRun) classDoc = await Class.create({ name, level: Number(name), displayName: `Class ${name}` });
+    }
+    if (classDoc) classIds.set(name, classDoc._id);
+  }
+
+  for (const pair of pairs) {
+    const [className, sectionName] = pair.split('|');
+    const classId = classIds.get(className);
+    if (classId && await Section.findOne({ class: classId, name: sectionName })) continue;
+
+    createdSections++;
+    if (!dryRun) {
+      // No subject list: the section takes every subject of its class
+      await Section.create({ class: classId, name: sectionName });
+    }
+  }
+  console.log(`Classes: ${createdClasses} ${dryRun ? 'to create' : 'created'}; sections: ${createdSections} ${dryRun ? 'to create' : 'created'}`);
+
+  // Merging "06" into "6" can leave two students with the same roll
+  if (!dryRun) {
+    const duplicateRolls = await Student.aggregate([
+      { $match: { deletedAt: null } },
+      { $group: { _id: { class: '$class', section: '$section', roll: '$roll' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+    for (const { _id, count } of duplicateRolls) {
+      console.warn(`Duplicate roll ${_id.roll} in Class ${_id.class} (${_id.section}): ${count} students`);
+    }
+  }
+
+  if (unknown.length > 0) {
+    console.warn('Values that could not be normalised (fix by hand):');
+    unknown.forEach(value => console.warn(`  ${value}`));
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error('Class migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
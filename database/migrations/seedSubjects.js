@@ -0,0 +1,80 @@
+// Load the subjects from config/subjectsConfig.js into the Subject collection.
+// Every subject starts at 100 marks (30 MCQ + 70 CQ; pass at 33 overall, 10 MCQ
+// and 23 CQ); adjust them
+// afterwards through PUT /subjects/:id. Subjects that already exist (by name)
+// only gain any missing classes, so the script can be run again safely.
+//
+// Usage: node database/migrations/seedSubjects.js [--dry-run]
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../connectDB');
+const { Subject } = require('../../model/schema');
+const subjectsConfig = require('../../config/subjectsConfig');
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Subjects taken as the optional ("4th") subject
+const OPTIONAL_SUBJECTS = ['Agriculture'];
+
+// "Social Science" -> "SOCI"
+const codeFor = name => name.replace(/[^A-Za-z0-9]/g, '').toUpperCase().slice(0, 4);
+
+const run = async () => {
+  await connectDB();
+  console.log(dryRun ? 'Dry run: no changes will be written' : 'Seeding subjects');
+
+  // Subject name -> classes and display order (its furthest position in any class list,
+  // which keeps every class's list in the configured order)
+  const subjects = new Map();
+  for (const [className, names] of Object.entries(subjectsConfig)) {
+    names.forEach((name, index) => {
+      if (!subjects.has(name)) subjects.set(name, { classes: [], order: index });
+      const subject = subjects.get(name);
+      subject.classes.push(String(className));
+      subject.order = Math.max(subject.order, index);
+    });
+  }
+
+  let created = 0;
+  let updated = 0;
+  for (const [name, { classes, order }] of subjects) {
+    const existing = await Subject.findOne({ name });
+    if (existing) {
+      const missing = classes.filter(c => !existing.classes.includes(c));
+      if (missing.length === 0) continue;
+      updated++;
+      console.log(`${name}: add classes ${missing.join(', ')}`);
+      if (!dryRun) await Subject.updateOne({ _id: existing._id }, { $addToSet: { classes: { $each: missing } } });
+      continue;
+    }
+
+    created++;
+    console.log(`${name} (${codeFor(name)}): classes ${classes.join(', ')}`);
+    if (!dryRun) {
+      await Subject.create({
+        code: codeFor(name),
+        name,
+        classes,
+        fullMarks: 100,
+        mcqMarks: 30,
+        cqMarks: 70,
+        passMarks: 33,
+        mcqPassMarks: 10,
+        cqPassMarks: 23,
+        type: OPTIONAL_SUBJECTS.includes(name) ? 'optional' : 'compulsory',
+        order,
+      });
+    }
+  }
+
+  console.log(`Subjects: ${created} ${dryRun ? 'to create' : 'created'}, ${updated} ${dryRun ? 'to update' : 'updated'}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Subject seeding failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
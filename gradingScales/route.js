@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const { Result, Class, GradingScale } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { findSession } = require('../utils/academicSession');
+const { normalizeClassName } = require('../utils/classes');
+const { DEFAULT_BANDS } = require('../config/gradeUtils');
+const { DEFAULT_RULES, computeResult } = require('../utils/resultEngine');
+const { runInTransaction } = require('../utils/transaction');
+
+const MAX_BANDS = 20;
+
+const formatScale = scale => ({
+  id: scale._id,
+  name: scale.name,
+  bands: scale.bands,
+  rules: scale.rules,
+  classFrom: scale.classFrom,
+  classTo: scale.classTo,
+  session: scale.session,
+  createdAt: scale.createdAt,
+  updatedAt: scale.updatedAt,
+});
+
+// Validate bands: percentages 0-100, one band starting at 0%, GPA never rising as percentages fall
+const parseBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length === 0 || bands.length > MAX_BANDS) {
+    return { error: `bands must be a list of 1 to ${MAX_BANDS} bands` };
+  }
+  for (const band of bands) {
+    if (!band || typeof band.minPercent !== 'number' || band.minPercent < 0 || band.minPercent > 100) {
+      return { error: 'Each band needs a minPercent between 0 and 100' };
+    }
+    if (typeof band.grade !== 'string' || !band.grade.trim()) {
+      return { error: 'Each band needs a grade letter' };
+    }
+    if (typeof band.gpa !== 'number' || band.gpa < 0) {
+      return { error: 'Each band needs a GPA point of 0 or more' };
+    }
+  }
+
+  const sorted = bands
+    .map(b => ({ minPercent: b.minPercent, grade: b.grade.trim(), gpa: b.gpa }))
+    .sort((a, b) => b.minPercent - a.minPercent);
+  if (new Set(sorted.map(b => b.minPercent)).size !== sorted.length) {
+    return { error: 'Two bands cannot start at the same percentage' };
+  }
+  if (sorted[sorted.length - 1].minPercent !== 0) {
+    return { error: 'The lowest band must start at 0%' };
+  }
+  if (sorted.some((band, i) => i > 0 && band.gpa > sorted[i - 1].gpa)) {
+    return { error: 'A lower band cannot have a higher GPA point' };
+  }
+  return { bands: sorted };
+};
+
+// Validate result rules; missing keys keep their current value (or the default)
+const parseRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { error: 'rules must be an object' };
+  }
+  const parsed = {};
+  for (const key of ['failOnAnySubject', 'componentPassMarks']) {
+    if (rules[key] === undefined) continue;
+    if (typeof rules[key] !== 'boolean') return { error: `rules.${key} must be true or false` };
+    parsed[key] = rules[key];
+  }
+  if (rules.optionalBonusAbove !== undefined) {
+    const value = rules.optionalBonusAbove;
+    if (value !== null && (typeof value !== 'number' || value < 0)) {
+      return { error: 'rules.optionalBonusAbove must be a GPA of 0 or more, or null' };
+    }
+    parsed.optionalBonusAbove = value;
+  }
+  return { rules: parsed };
+};
+
+// Class name (or null for no limit) to its level
+const parseClassLimit = async (value, field) => {
+  if (value === null || value === '') return { level: null };
+  const name = normalizeClassName(value);
+  const classDoc = name && await Class.findOne({ name });
+  if (!classDoc) return { error: `${field} must be an existing class` };
+  return { level: classDoc.level };
+};
+
+/**
+ * Validate the fields of a create/update body; only fields present are returned
+ * @returns {Promise<{ fields: object }|{ status: number, message: string }>}
+ */
+const parseScaleFields = async (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { status: 400, message: 'name is required' };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.bands !== undefined) {
+    const parsed = parseBands(body.bands);
+    if (parsed.error) return { status: 400, message: parsed.error };
+    fields.bands = parsed.bands;
+  }
+
+  for (const field of ['classFrom', 'classTo']) {
+    if (body[field] === undefined) continue;
+    const parsed = await parseClassLimit(body[field], field);
+    if (parsed.error) return { status: 400, message: parsed.error };
+    fields[field] = parsed.level;
+  }
+
+  if (body.rules !== undefined) {
+    const parsed = parseRules(body.rules);
+    if (parsed.error) return { status: 400, message: parsed.error };
+    fields.rules = parsed.rules;
+  }
+
+  if (body.session !== undefined) {
+    if (body.session) {
+      const found = await findSession(body.session);
+      if (!found.session) return found;
+      fields.session = found.session._id;
+    } else {
+      fields.session = null;
+    }
+  }
+
+  return { fields };
+};
+
+// Another scale for the same session (or both general) covering any of the same classes
+const findOverlap = (scale) => {
+  const from = scale.classFrom ?? -Infinity;
+  const to = scale.classTo ?? Infinity;
+  if (from > to) return Promise.resolve(null);
+  return GradingScale.findOne({
+    _id: { $ne: scale._id },
+    session: scale.session || null,
+    $and: [
+      { $or: [{ classFrom: null }, { classFrom: { $lte: to } }] },
+      { $or: [{ classTo: null }, { classTo: { $gte: from } }] },
+    ],
+  });
+};
+
+// Check the class range and uniqueness of a scale about to be saved
+const scaleConflict = async (scale) => {
+  if (scale.classFrom !== null && scale.classTo !== null && scale.classFrom > scale.classTo) {
+    return 'classFrom cannot be above classTo';
+  }
+  const sameName = await GradingScale.findOne({ name: scale.name, _id: { $ne: scale._id } });
+  if (sameName) return `A grading scale named ${scale.name} already exists`;
+  const overlap = await findOverlap(scale);
+  if (overlap) return `Grading scale ${overlap.name} already covers some of these classes${scale.session ? ' in this session' : ''}`;
+  return null;
+};
+
+// ✅ List grading scales (the default scale applies where none match)
+router.get('/grading-scales', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const scales = await GradingScale.find()
+      .populate('session', 'name status')
+      .sort({ session: 1, classFrom: 1, name: 1 });
+
+    res.json({
+      message: `${scales.length} grading scales found`,
+      scales: scales.map(formatScale),
+      defaultBands: DEFAULT_BANDS,
+      defaultRules: DEFAULT_RULES,
+    });
+  } catch (err) {
+    console.error('Get grading scales error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Get one grading scale
+router.get('/grading-scales/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id).populate('session', 'name status');
+    if (!scale) return res.status(404).json({ message: 'Grading scale not found' });
+
+    res.json({ scale: formatScale(scale) });
+  } catch (err) {
+    console.error('Get grading scale error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Create a grading scale
+// Body: name, bands [{ minPercent, grade, gpa }], classFrom/classTo (class names, optional),
+// session (id or "current"; optional, default: every session),
+// rules { failOnAnySubject, componentPassMarks, optionalBonusAbove } (optional, default: board rules)
+router.post('/grading-scales', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    if (req.body.name === undefined || req.body.bands === undefined) {
+      return res.status(400).json({ message: 'name and bands are required' });
+    }
+    const { fields, status, message } = await parseScaleFields(req.body);
+    if (status) return res.status(status).json({ message });
+
+    const scale = new GradingScale({ ...fields, createdBy: req.currentUser._id });
+    const conflict = await scaleConflict(scale);
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    await scale.save();
+    res.status(201).json({ message: 'Grading scale created successfully', scale: formatScale(scale) });
+  } catch (err) {
+    console.error('Create grading scale error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Update a grading scale; results already graded keep the bands they were graded with
+router.put('/grading-scales/:id', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) return res.status(404).json({ message: 'Grading scale not found' });
+
+    const { fields, status, message } = await parseScaleFields(req.body);
+    if (status) return res.status(status).json({ message });
+
+    if (fields.rules) fields.rules = { ...scale.rules.toObject(), ...fields.rules };
+    Object.assign(scale, fields, { updatedAt: new Date() });
+    const conflict = await scaleConflict(scale);
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    await scale.save();
+    res.json({ message: 'Grading scale updated successfully', scale: formatScale(scale) });
+  } catch (err) {
+    console.error('Update grading scale error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Delete a grading scale (results graded with it keep their copy of its bands)
+router.delete('/grading-scales/:id', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const scale = await GradingScale.findByIdAndDelete(req.params.id);
+    if (!scale) return res.status(404).json({ message: 'Grading scale not found' });
+
+    res.json({ message: 'Grading scale deleted successfully' });
+  } catch (err) {
+    console.error('Delete grading scale error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Re-grade a session's results for the scale's classes under its current bands
+// Body: session (id or "current", required), dryRun (true: report the changes only)
+router.post('/grading-scales/:id/regrade', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) return res.status(404).json({ message: 'Grading scale not found' });
+
+    if (!req.body.session) {
+      return res.status(400).json({ message: 'session is required' });
+    }
+    const { session: academicSession, status, message } = await findSession(req.body.session);
+    if (status) return res.status(status).json({ message });
+    if (scale.session && !scale.session.equals(academicSession._id)) {
+      return res.status(400).json({ message: 'This grading scale belongs to a different session' });
+    }
+    if (academicSession.status === 'closed') {
+      return res.status(409).json({ message: `Academic session ${academicSession.name} is closed and read-only` });
+    }
+
+    const levels = {};
+    if (scale.classFrom !== null) levels.$gte = scale.classFrom;
+    if (scale.classTo !== null) levels.$lte = scale.classTo;
+    const classes = await Class.find(Object.keys(levels).length > 0 ? { level: levels } : {}).select('name level');
+
+    // A general scale leaves alone the classes a scale of this session covers
+    let classNames = classes.map(c => c.name);
+    if (!scale.session) {
+      const sessionScales = await GradingScale.find({ session: academicSession._id });
+      classNames = classes
+        .filter(c => !sessionScales.some(s => (s.classFrom === null || s.classFrom <= c.level)
+          && (s.classTo === null || s.classTo >= c.level)))
+        .map(c => c.name);
+    }
+
+    const found = await Result.find({ session: academicSession._id, class: { $in: classNames } })
+      .populate('student', 'name userName');
+
+    // Results that cannot be graded (e.g. legacy scores above their totals) are reported and left as they are
+    const results = [];
+    const skipped = [];
+    const rows = [];
+    for (const result of found) {
+      const row = {
+        resultId: result._id,
+        student: result.student,
+        class: result.class,
+        semester: result.semester,
+        examType: result.examType,
+        previousScale: result.grading?.name || 'Default',
+        averageGPA: result.averageGPA,
+      };
+      try {
+        row.newAverageGPA = computeResult(result.marks, scale.bands, scale.rules.toObject()).averageGPA;
+        results.push(result);
+        rows.push(row);
+      } catch (err) {
+        skipped.push({ ...row, error: err.message });
+      }
+    }
+
+    if (req.body.dryRun) {
+      return res.json({
+        message: `Dry run: ${rows.length} results would be re-graded with ${scale.name}, ${skipped.length} skipped`,
+        dryRun: true,
+        results: rows,
+        skipped,
+      });
+    }
+
+    await runInTransaction(async (session) => {
+      for (const result of results) {
+        result.grading = { scale: scale._id, name: scale.name, bands: scale.bands, rules: scale.rules };
+        await result.save({ session });
+      }
+    });
+
+    res.json({
+      message: `${results.length} results re-graded with ${scale.name}, ${skipped.length} skipped`,
+      dryRun: false,
+      results: rows,
+      skipped,
+    });
+  } catch (err) {
+    console.error('Regrade results error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { User, Student, Result, Invitation } = require('../model/schema');
+const { sendInvitation } = require('../utils/invitations');
+const { latestResults, formatPayments } = require('../utils/studentView');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { sessionFromQuery } = require('../utils/academicSession');
+
+// Load students the current admin manages
+// Super admin: any student; admin: students created by them or their teachers
+const findManagedStudents = async (currentUser, studentIds) => {
+  const students = await Student.find({ _id: { $in: studentIds } });
+  if (students.length !== new Set(studentIds.map(String)).size) {
+    return { status: 404, message: 'One or more students not found' };
+  }
+
+  for (const student of students) {
+    if (!(await can(currentUser, 'student:manage', student))) {
+      return { status: 403, message: `Not authorized to manage student ${student.userName}` };
+    }
+  }
+
+  return { students };
+};
+
+// Load a guardian the current admin manages (super admin: any; admin: created by them)
+const findManagedGuardian = async (currentUser, guardianId) => {
+  const guardian = await User.findOne({ _id: guardianId, role: 'guardian' });
+  if (!guardian) return { status: 404, message: 'Guardian not found' };
+
+  if (!(await can(currentUser, 'user:manage', guardian))) {
+    return { status: 403, message: 'Not authorized to manage this guardian' };
+  }
+
+  return { guardian };
+};
+
+// Middleware for guardian-only child routes: the student must be linked to the guardian
+const requireLinkedChild = async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) return res.status(404).json({ message: 'Student not found' });
+
+    if (!(await can(req.currentUser, 'student:read', student)))
+      return res.status(403).json({ message: 'This student is not linked to your account' });
+
+    req.child = student;
+    next();
+  } catch (err) {
+    console.error('Guardian child check error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// ✅ Invite a guardian by email, linked to one or more students
+router.post('/guardian/invite', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { firstName, lastName, email, studentIds } = req.body;
+
+    if (!firstName || !lastName || !email || !Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({ message: 'All fields are required and studentIds must be a non-empty array' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail }).setOptions({ withDeleted: true });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const existingInvite = await Invitation.findOne({ email: normalizedEmail, status: 'pending' });
+    if (existingInvite) {
+      return res.status(400).json({ message: 'An invitation is already pending for this email' });
+    }
+
+    const { students, status, message } = await findManagedStudents(req.currentUser, studentIds);
+    if (!students) return res.status(status).json({ message });
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      firstName,
+      lastName,
+      role: 'guardian',
+      children: students.map(s => s._id),
+      invitedBy: req.currentUser._id
+    });
+    await sendInvitation(invitation, req.currentUser);
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        children: invitation.children,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (err) {
+    console.error('Invite guardian error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Link students to a guardian
+router.post('/guardian/:id/students', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { studentIds } = req.body;
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({ message: 'studentIds must be a non-empty array' });
+    }
+
+    const { guardian, status, message } = await findManagedGuardian(req.currentUser, req.params.id);
+    if (!guardian) return res.status(status).json({ message });
+
+    const managed = await findManagedStudents(req.currentUser, studentIds);
+    if (!managed.students) return res.status(managed.status).json({ message: managed.message });
+
+    const linked = new Set(guardian.children.map(String));
+    for (const student of managed.students) {
+      if (!linked.has(student._id.toString())) guardian.children.push(student._id);
+    }
+    await guardian.save();
+
+    res.json({ message: 'Students linked to guardian', children: guardian.children });
+  } catch (err) {
+    console.error('Link guardian error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Unlink a student from a guardian
+router.delete('/guardian/:id/students/:studentId', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { guardian, status, message } = await findManagedGuardian(req.currentUser, req.params.id);
+    if (!guardian) return res.status(status).json({ message });
+
+    const before = guardian.children.length;
+    guardian.children = guardian.children.filter(id => id.toString() !== req.params.studentId);
+    if (guardian.children.length === before) {
+      return res.status(404).json({ message: 'Student is not linked to this guardian' });
+    }
+    await guardian.save();
+
+    res.json({ message: 'Student unlinked from guardian', children: guardian.children });
+  } catch (err) {
+    console.error('Unlink guardian error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Guardian: my children
+router.get('/guardian/children', authenticateToken, requireRole(['guardian']), async (req, res) => {
+  try {
+    const children = await Student.find({ _id: { $in: req.currentUser.children } })
+      .select('name userName roll class section')
+      .sort({ class: 1, section: 1, roll: 1 });
+
+    res.json({ children });
+  } catch (err) {
+    console.error('Get guardian children error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Guardian: a child's results (latest for every semester + exam type, ?session=<id>|current)
+router.get('/guardian/children/:studentId/results', authenticateToken, requireRole(['guardian']), requireLinkedChild, async (req, res) => {
+  try {
+    const { semester, examType } = req.query;
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    const filter = { student: req.child._id };
+    if (semester) filter.semester = semester;
+    if (examType) filter.examType = examType;
+    if (session) filter.session = session._id;
+
+    const results = await Result.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      student: {
+        id: req.child._id,
+        name: req.child.name,
+        roll: req.child.roll,
+        class: req.child.class,
+        section: req.child.section
+      },
+      results: latestResults(results)
+    });
+  } catch (err) {
+    console.error('Get child results error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Guardian: a child's payment status and due dates (?session=<id>|current)
+router.get('/guardian/children/:studentId/payments', authenticateToken, requireRole(['guardian']), requireLinkedChild, async (req, res) => {
+  try {
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    res.json({
+      student: {
+        id: req.child._id,
+        name: req.child.name,
+        class: req.child.class,
+        section: req.child.section
+      },
+      ...formatPayments(req.child, session)
+    });
+  } catch (err) {
+    console.error('Get child payments error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,16 @@ const dashboard = require("./routes/dashboard");
 const result = require("./result/route");
 const update = require("./updete/route");
 const payments = require("./payments/route");
+const me = require("./me/route");
+const guardians = require("./guardians/route");
+const invitations = require("./invitations/route");
+const promotions = require("./promotions/route");
+const academicSessions = require("./academicSessions/route");
+const classes = require("./classes/route");
+const studentProfiles = require("./studentProfiles/route");
+const gradingScales = require("./gradingScales/route");
+const subjects = require("./subjects/route");
+const markSheets = require("./markSheets/route");
 
 dotenv.config();
 
@@ -33,6 +43,16 @@ app.use("/api", dashboard);
 app.use("/api", result);
 app.use("/api", update);
 app.use("/api", payments);
+app.use("/api", me);
+app.use("/api", guardians);
+app.use("/api", invitations);
+app.use("/api", promotions);
+app.use("/api", academicSessions);
+app.use("/api", classes);
+app.use("/api", studentProfiles);
+app.use("/api", gradingScales);
+app.use("/api", subjects);
+app.use("/api", markSheets);
 
 const PORT = process.env.PORT || 3000;
 
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { User, Invitation } = require('../model/schema');
+const bcrypt = require('bcryptjs');
+const { sendInvitation, findPendingInvitation } = require('../utils/invitations');
+const generateAdminCode = require('../utils/adminCode');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { getCurrentSession, withSession } = require('../utils/academicSession');
+const { parseListQuery, findPage } = require('../utils/pagination');
+
+const INVITATION_LIST = {
+  sortFields: ['email', 'role', 'status', 'expiresAt', 'createdAt'],
+  defaultSort: { createdAt: -1, _id: 1 },
+  searchFields: ['email'],
+};
+
+// Load an invitation the current user may manage (super admin: any; admin: ones they sent)
+const findManagedInvitation = async (currentUser, id) => {
+  const invitation = await Invitation.findById(id);
+  if (!invitation) return { status: 404, message: 'Invitation not found' };
+
+  if (!(await can(currentUser, 'invitation:manage', invitation))) {
+    return { status: 403, message: 'Not authorized to manage this invitation' };
+  }
+
+  return { invitation };
+};
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  firstName: invitation.firstName,
+  lastName: invitation.lastName,
+  role: invitation.role,
+  assignedClasses: invitation.assignedClasses,
+  children: invitation.children,
+  status: invitation.status,
+  isExpired: invitation.status === 'pending' && invitation.expiresAt <= new Date(),
+  expiresAt: invitation.expiresAt,
+  invitedBy: invitation.invitedBy,
+  acceptedAt: invitation.acceptedAt,
+  createdAt: invitation.createdAt
+});
+
+// ✅ List invitations (pending by default; ?status=accepted|revoked|all)
+router.get('/invitations', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { status = 'pending', role } = req.query;
+    const list = parseListQuery(req, INVITATION_LIST);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+    const query = {};
+
+    if (status !== 'all') query.status = status;
+    if (role) query.role = role;
+    if (req.currentUser.role !== 'super_admin') query.invitedBy = req.currentUser._id;
+
+    const { data, pagination } = await findPage(Invitation, query, list, q => q
+      .populate('invitedBy', 'firstName lastName email'));
+
+    res.json({
+      message: `${pagination.total} invitations found`,
+      data: data.map(formatInvitation),
+      pagination
+    });
+  } catch (err) {
+    console.error('Get invitations error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Resend an invitation with a new link and expiry (the old link stops working)
+router.post('/invitations/:id/resend', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { invitation, status, message } = await findManagedInvitation(req.currentUser, req.params.id);
+    if (!invitation) return res.status(status).json({ message });
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    await sendInvitation(invitation, req.currentUser);
+
+    res.json({ message: 'Invitation resent', invitation: formatInvitation(invitation) });
+  } catch (err) {
+    console.error('Resend invitation error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Revoke a pending invitation
+router.delete('/invitations/:id', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const { invitation, status, message } = await findManagedInvitation(req.currentUser, req.params.id);
+    if (!invitation) return res.status(status).json({ message });
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked', invitation: formatInvitation(invitation) });
+  } catch (err) {
+    console.error('Revoke invitation error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Accept an invitation: the invitee sets their own password and the account is created
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Invitation token and password are required' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email }).setOptions({ withDeleted: true });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const user = new User({
+      firstName: invitation.firstName,
+      lastName: invitation.lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      assignedClasses: invitation.role === 'teacher'
+        ? withSession(invitation.assignedClasses, await getCurrentSession())
+        : [],
+      children: invitation.role === 'guardian' ? invitation.children : [],
+      createdBy: invitation.invitedBy
+    });
+
+    if (invitation.role === 'admin') {
+      user.adminCode = await generateAdminCode();
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+
+    await user.save();
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    res.status(201).json({
+      message: 'Account created. You can now sign in.',
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        ...(user.role === 'admin' && { adminCode: user.adminCode })
+      }
+    });
+  } catch (err) {
+    console.error('Accept invitation error:', err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
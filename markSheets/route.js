@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const { Student, Result } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { studentScope } = require('../utils/policy');
+const { getCurrentSession, findSession, writableSession } = require('../utils/academicSession');
+const { resolveSection } = require('../utils/classes');
+const { sectionSubjects, subjectSnapshot } = require('../utils/subjects');
+
+const SEMESTERS = ['1st', '2nd', '3rd'];
+const EXAM_TYPES = ['mcq', 'cq', 'combined'];
+const MAX_ROWS = 200;
+
+// Score fields each exam type takes
+const COMPONENTS = {
+  mcq: ['mcq'],
+  cq: ['cq'],
+  combined: ['mcq', 'cq'],
+};
+
+/**
+ * Validate class, section, semester, subject and exam type (from the query or body)
+ * @returns {Promise<object>} Sheet details, or { status, message } on error
+ */
+const parseSheet = async (source) => {
+  const { semester, subject: subjectName } = source;
+  const examType = source.examType || 'combined';
+  if (!source.class || !source.section || !semester || !subjectName) {
+    return { status: 400, message: 'class, section, semester and subject are required' };
+  }
+  if (!SEMESTERS.includes(semester)) {
+    return { status: 400, message: `semester must be one of: ${SEMESTERS.join(', ')}` };
+  }
+  if (!EXAM_TYPES.includes(examType)) {
+    return { status: 400, message: `examType must be one of: ${EXAM_TYPES.join(', ')}` };
+  }
+
+  const placement = await resolveSection(source.class, source.section);
+  if (!placement.section) return placement;
+
+  const subjects = await sectionSubjects(placement.section, placement.className);
+  const subject = subjects.find(s => s.name === subjectName || s.code === String(subjectName).toUpperCase());
+  if (!subject) {
+    return { status: 400, message: `${subjectName} is not a subject of Class ${placement.className} (${placement.sectionName})` };
+  }
+
+  return { className: placement.className, sectionName: placement.sectionName, semester, examType, subject };
+};
+
+// Students of the section the caller may enter marks for, by roll
+const loadRoster = async (currentUser, sheet) => Student.find({
+  ...(await studentScope(currentUser)),
+  class: sheet.className,
+  section: sheet.sectionName,
+  graduatedAt: null,
+})
+  .select('name userName roll')
+  .sort({ roll: 1 });
+
+// Each student's result for the sheet's session, semester and exam type (one at most)
+const loadResults = async (roster, sheet, academicSession) => {
+  const results = await Result.find({
+    student: { $in: roster.map(s => s._id) },
+    session: academicSession ? academicSession._id : null,
+    semester: sheet.semester,
+    examType: sheet.examType,
+  });
+  return new Map(results.map(result => [String(result.student), result]));
+};
+
+const findMark = (result, subject) => (result ? result.marks.find(m => m.subject === subject.name) : null);
+
+const formatRow = (student, result, subject) => {
+  const mark = findMark(result, subject);
+  return {
+    studentId: student._id,
+    name: student.name,
+    userName: student.userName,
+    roll: student.roll,
+    resultId: result ? result._id : null,
+    entered: !!mark,
+    mcqScore: mark ? mark.mcqScore : null,
+    mcqTotal: mark ? mark.mcqTotal : null,
+    cqScore: mark ? mark.cqScore : null,
+    cqTotal: mark ? mark.cqTotal : null,
+    totalScore: mark ? mark.totalScore : null,
+    grade: mark ? mark.grade : null,
+    passed: mark ? mark.passed : null,
+  };
+};
+
+const isScore = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate one PUT row and build the mark to save
+ * @returns {{ mark: object }|{ skip: true }|{ error: string }}
+ */
+const parseRow = (row, sheet) => {
+  const { subject, examType } = sheet;
+  const components = COMPONENTS[examType];
+  const scores = components.map(c => row[`${c}Score`]);
+  if (scores.every(score => score === undefined || score === null)) return { skip: true };
+
+  const mark = { subject: subject.name, mcqScore: 0, mcqTotal: 0, cqScore: 0, cqTotal: 0, definition: subjectSnapshot(subject) };
+  for (const component of components) {
+    const label = component.toUpperCase();
+    const score = row[`${component}Score`];
+    const total = row[`${component}Total`] ?? subject[`${component}Marks`];
+    if (!isScore(score)) return { error: `${label} score must be a number of 0 or more` };
+    if (!isScore(total) || total === 0) return { error: `${label} total must be above 0` };
+    if (score > total) return { error: `${label} score ${score} is above the total of ${total}` };
+    mark[`${component}Score`] = score;
+    mark[`${component}Total`] = total;
+  }
+  return { mark };
+};
+
+// ✅ Mark sheet for one subject: the section's roster with the marks already entered
+// ?class, ?section, ?semester, ?subject (name or code), ?examType (default combined),
+// ?session=<id>|current (default: current)
+router.get('/mark-sheet', authenticateToken, requireRole(['super_admin', 'admin', 'teacher']), async (req, res) => {
+  try {
+    const sheet = await parseSheet(req.query);
+    if (sheet.status) return res.status(sheet.status).json({ message: sheet.message });
+
+    let academicSession = null;
+    if (req.query.session) {
+      const found = await findSession(req.query.session);
+      if (found.status) return res.status(found.status).json({ message: found.message });
+      academicSession = found.session;
+    } else {
+      academicSession = await getCurrentSession();
+    }
+
+    const roster = await loadRoster(req.currentUser, sheet);
+    const results = await loadResults(roster, sheet, academicSession);
+    const rows = roster.map(student => formatRow(student, results.get(String(student._id)), sheet.subject));
+    const missing = rows.filter(r => !r.entered);
+
+    res.json({
+      message: `${rows.length - missing.length} of ${rows.length} students have ${sheet.subject.name} marks`,
+      class: sheet.className,
+      section: sheet.sectionName,
+      semester: sheet.semester,
+      examType: sheet.examType,
+      session: academicSession ? { id: academicSession._id, name: academicSession.name, status: academicSession.status } : null,
+      subject: subjectSnapshot(sheet.subject),
+      students: rows,
+      missing: missing.map(r => ({ studentId: r.studentId, name: r.name, roll: r.roll })),
+    });
+  } catch (err) {
+    console.error('Get mark sheet error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Save a subject's marks for a section. Valid rows are saved even when others fail;
+// rows without scores are left as they are. Changed marks on saved results are logged
+// as amendments (reason defaults to "Mark sheet entry").
+// Body: class, section, semester, subject, examType, session (optional), reason (optional),
+// rows [{ studentId, mcqScore, mcqTotal?, cqScore, cqTotal? }] (totals default to the subject's marks)
+router.put('/mark-sheet', authenticateToken, requireRole(['super_admin', 'admin', 'teacher']), async (req, res) => {
+  try {
+    const sheet = await parseSheet(req.body);
+    if (sheet.status) return res.status(sheet.status).json({ message: sheet.message });
+
+    const { rows } = req.body;
+    const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : 'Mark sheet entry';
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'rows must be a non-empty list' });
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({ message: `A mark sheet is limited to ${MAX_ROWS} rows` });
+    }
+
+    // Closed sessions are read-only
+    const { session: academicSession, status, message } = await writableSession(req.body.session);
+    if (status) return res.status(status).json({ message });
+
+    const roster = await loadRoster(req.currentUser, sheet);
+    const rosterById = new Map(roster.map(s => [String(s._id), s]));
+    const results = await loadResults(roster, sheet, academicSession);
+
+    const report = [];
+    const seen = new Set();
+    for (const row of rows) {
+      const studentId = String(row && row.studentId);
+      const entry = { studentId, status: 'error', error: null };
+      report.push(entry);
+
+      if (!rosterById.has(studentId)) {
+        entry.error = 'Student is not in this section or not yours to mark';
+        continue;
+      }
+      if (seen.has(studentId)) {
+        entry.error = 'Student appears more than once';
+        continue;
+      }
+      seen.add(studentId);
+
+      const parsed = parseRow(row, sheet);
+      if (parsed.skip) {
+        entry.status = 'skipped';
+        continue;
+      }
+      if (parsed.error) {
+        entry.error = parsed.error;
+        continue;
+      }
+
+      try {
+        let result = results.get(studentId);
+        if (result) {
+          // Changes to a saved result are logged as an amendment
+          if (result.amendMarks([parsed.mark], req.currentUser, reason).length === 0) {
+            Object.assign(entry, { status: 'unchanged', resultId: result._id });
+            delete entry.error;
+            continue;
+          }
+        } else {
+          result = new Result({
+            student: studentId,
+            class: sheet.className,
+            semester: sheet.semester,
+            session: academicSession ? academicSession._id : null,
+            examType: sheet.examType,
+            marks: [parsed.mark],
+          });
+        }
+        await result.save();
+        results.set(studentId, result);
+
+        const mark = findMark(result, sheet.subject);
+        Object.assign(entry, { status: 'saved', resultId: result._id, totalScore: mark.totalScore, grade: mark.grade });
+        delete entry.error;
+      } catch (err) {
+        if (err.name === 'VersionError') {
+          entry.error = 'Result was changed by someone else; reload the mark sheet';
+        } else if (err.code === 11000) {
+          entry.error = 'A result for this student was saved at the same time; reload the mark sheet';
+        } else if (err.name === 'ValidationError') {
+          entry.error = 'Marks are not valid for this result';
+        } else {
+          console.error('Save mark sheet row error:', err.message);
+          entry.error = 'Could not save row';
+        }
+      }
+    }
+
+    const saved = report.filter(r => r.status === 'saved').length;
+    const failed = report.filter(r => r.status === 'error').length;
+    const unchanged = report.filter(r => r.status === 'unchanged').length;
+    const missing = roster
+      .filter(student => !findMark(results.get(String(student._id)), sheet.subject))
+      .map(student => ({ studentId: student._id, name: student.name, roll: student.roll }));
+
+    res.status(failed > 0 && saved + unchanged === 0 ? 400 : 200).json({
+      message: `${saved} rows saved, ${failed} rejected, ${missing.length} students still missing ${sheet.subject.name} marks`,
+      summary: { saved, unchanged, rejected: failed, skipped: report.length - saved - unchanged - failed, missing: missing.length },
+      rows: report,
+      missing,
+    });
+  } catch (err) {
+    console.error('Save mark sheet error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
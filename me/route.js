@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { Result } = require('../model/schema');
+const bcrypt = require('bcryptjs');
+const { bumpTokenVersion } = require('../utils/tokenVersion');
+const { formatResult, latestResults, formatPayments } = require('../utils/studentView');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sessionFromQuery } = require('../utils/academicSession');
+
+// Everything below is scoped to the signed-in student (req.currentUser)
+router.use('/me', authenticateToken, requireRole(['student']));
+
+// ✅ My profile
+router.get('/me/profile', async (req, res) => {
+  const student = req.currentUser;
+  res.json({
+    student: {
+      id: student._id,
+      name: student.name,
+      userName: student.userName,
+      roll: student.roll,
+      class: student.class,
+      section: student.section,
+      createdAt: student.createdAt,
+    },
+  });
+});
+
+// ✅ My results: latest result for every semester + exam type (?session=<id>|current)
+router.get('/me/results', async (req, res) => {
+  try {
+    const { semester, examType } = req.query;
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    const filter = { student: req.currentUser._id };
+    if (semester) filter.semester = semester;
+    if (examType) filter.examType = examType;
+    if (session) filter.session = session._id;
+
+    const results = await Result.find(filter).sort({ createdAt: -1 });
+
+    res.json({ results: latestResults(results) });
+  } catch (err) {
+    console.error('Get my results error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ My result for one semester + exam type (latest session unless ?session= is given)
+router.get('/me/results/:semester/:examType', async (req, res) => {
+  try {
+    const { semester, examType } = req.params;
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    const filter = { student: req.currentUser._id, semester, examType };
+    if (session) filter.session = session._id;
+    const result = await Result.findOne(filter).sort({ createdAt: -1 });
+
+    if (!result) {
+      return res.status(404).json({ message: `No ${examType.toUpperCase()} result found for the ${semester} semester` });
+    }
+
+    res.json({ result: formatResult(result) });
+  } catch (err) {
+    console.error('Get my result error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ My payment status and due dates (?session=<id>|current)
+router.get('/me/payments', async (req, res) => {
+  try {
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    res.json(formatPayments(req.currentUser, session));
+  } catch (err) {
+    console.error('Get my payments error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Change my password (signs out every session)
+router.put('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const student = req.currentUser;
+    const isMatch = await bcrypt.compare(currentPassword, student.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    student.password = await bcrypt.hash(newPassword, salt);
+    bumpTokenVersion(student);
+    await student.save();
+
+    res.json({ message: 'Password changed. Please sign in again.' });
+  } catch (err) {
+    console.error('Change my password error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { User, Student, Setting } = require('../model/schema');
+const { CURRENT_SESSION_KEY } = require('../utils/academicSession');
+
+// Middleware to verify access token
+// Loads the signed-in account (User or Student) as req.account and rejects tokens
+// issued before a password/role change (token version) or account deletion
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    if (err) {
+      console.error('Token verification failed:', err.message);
+      return res.status(403).json({ message: 'Invalid or expired token' });
+    }
+
+    try {
+      const account = await User.findById(payload.id) || await Student.findById(payload.id);
+
+      if (!account || (account.tokenVersion || 0) !== (payload.tv || 0)) {
+        console.error(`Revoked token used for account: ${payload.id}`);
+        return res.status(403).json({ message: 'Token has been revoked' });
+      }
+
+      // Teacher assignments are tied to an academic session (see utils/policy)
+      if (account.role === 'teacher') {
+        const setting = await Setting.findOne({ key: CURRENT_SESSION_KEY });
+        account.$locals.currentSessionId = setting ? setting.value : null;
+      }
+
+      req.user = payload;
+      req.account = account;
+      next();
+    } catch (checkErr) {
+      console.error('Token version check error:', checkErr.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+};
+
+// Middleware to check the signed-in account's role (Student accounts have role "student")
+const requireRole = (allowedRoles) => {
+  return (req, res, next) => {
+    const account = req.account;
+
+    if (!allowedRoles.includes(account.role)) {
+      console.error(`Insufficient permissions for account: ${account._id}, role: ${account.role}`);
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    req.currentUser = account; // Add account object to request
+    next();
+  };
+};
+
+module.exports = { authenticateToken, requireRole };
@@ -1,5 +1,46 @@
 const mongoose = require("mongoose");
-const getGrade = require("../config/gradeUtils");
+const { DEFAULT_BANDS } = require("../config/gradeUtils");
+const { DEFAULT_RULES, computeResult } = require("../utils/resultEngine");
+const softDelete = require("./softDelete");
+
+// One entry per signed-in device (token family). Only sha256 hashes are stored:
+// `token` is the current refresh token, `rotatedTokens` are the ones it replaced
+// and are kept so that a replayed token can be detected.
+const refreshTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+  },
+  family: {
+    type: String,
+    required: true,
+  },
+  rotatedTokens: {
+    type: [String],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Device metadata, shown in the session list
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -26,10 +67,17 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["super_admin", "admin", "teacher", "student"],
+    enum: ["super_admin", "admin", "teacher", "student", "guardian"],
     required: true,
     default: "student",
   },
+  // Guardians only: the students this parent can see
+  children: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+  ],
   assignedClasses: [
     {
       class: {
@@ -40,6 +88,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true,
       },
+      // Academic session the assignment belongs to (null: every session)
+      session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AcademicSession",
+        default: null,
+      },
     },
   ],
   adminCode: {
@@ -52,25 +106,110 @@ const userSchema = new mongoose.Schema({
     ref: "User",
     default: null,
   },
-  refreshTokens: [
-    {
-      token: {
-        type: String,
-        required: true,
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now,
-        expires: 7 * 24 * 60 * 60,
-      },
+  refreshTokens: [refreshTokenSchema],
+  // Embedded in access tokens as `tv`; bumping it revokes every issued token
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // TOTP two-factor authentication (secrets are never selected by default)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
     },
-  ],
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated at enrollment, moved to `secret` once a code is verified
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // sha256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+      select: false,
+    },
+  },
+  // Hashed single-use password reset token (emailed link)
+  passwordResetToken: {
+    type: String,
+    default: null,
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// One entry per change of class/section (year-end promotion, section transfer).
+// class/section/roll are where the student was; to* fields are set for transfers.
+const classHistorySchema = new mongoose.Schema({
+  class: {
+    type: String,
+    required: true,
+  },
+  section: {
+    type: String,
+    required: true,
+  },
+  roll: {
+    type: Number,
+  },
+  outcome: {
+    type: String,
+    enum: ["promoted", "retained", "graduated", "transferred"],
+    required: true,
+  },
+  toClass: {
+    type: String,
+    default: null,
+  },
+  toSection: {
+    type: String,
+    default: null,
+  },
+  toRoll: {
+    type: Number,
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicSession",
+    default: null,
+  },
+  // Final-semester GPA the outcome was based on
+  averageGPA: {
+    type: Number,
+    default: null,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const studentSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -100,6 +239,88 @@ const studentSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Academic session of the current class enrollment
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicSession",
+    default: null,
+  },
+  admissionNumber: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true,
+  },
+  // Personal details; see utils/studentProfile.js for validation and who sees what
+  profile: {
+    dateOfBirth: {
+      type: Date,
+      default: null,
+    },
+    gender: {
+      type: String,
+      enum: ["male", "female", "other", null],
+      default: null,
+    },
+    bloodGroup: {
+      type: String,
+      enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-", null],
+      default: null,
+    },
+    address: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    guardians: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        relation: {
+          type: String,
+          trim: true,
+        },
+        phone: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        email: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+      },
+    ],
+    // Admin-only notes (fee waivers, arrears); never shown to teachers, guardians or students
+    financialNotes: {
+      type: String,
+      default: null,
+      select: false,
+    },
+  },
+  // Stored through utils/storage; served by GET /student/:id/photo
+  photo: {
+    key: {
+      type: String,
+      default: null,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    contentType: {
+      type: String,
+      default: null,
+    },
+    uploadedAt: {
+      type: Date,
+      default: null,
+    },
+  },
   paymentAmount: {
     type: Number,
     default: 0,
@@ -129,6 +350,11 @@ const studentSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
       },
+      session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AcademicSession",
+        default: null,
+      },
       createdAt: {
         type: Date,
         default: Date.now,
@@ -139,25 +365,39 @@ const studentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
-  refreshTokens: [
-    {
-      token: {
-        type: String,
-        required: true,
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now,
-        expires: 7 * 24 * 60 * 60,
-      },
-    },
-  ],
+  refreshTokens: [refreshTokenSchema],
+  // Embedded in access tokens as `tv`; bumping it revokes every issued token
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Hashed single-use password reset code (issued by class teacher or admin)
+  passwordResetCode: {
+    type: String,
+    default: null,
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+  },
+  // Previous classes, oldest first
+  classHistory: [classHistorySchema],
+  // Set when the student finishes the final class; graduates are not promoted again
+  graduatedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Students share the role-based policy with User accounts
+studentSchema.virtual("role").get(function () {
+  return "student";
+});
+
 // Pre-save middleware to update paymentAmount and hasPaid based on paymentDetails
 studentSchema.pre("save", function (next) {
   try {
@@ -185,6 +425,112 @@ studentSchema.pre("save", function (next) {
   }
 });
 
+// Archived (soft-deleted) staff and students are hidden from normal queries
+userSchema.plugin(softDelete);
+studentSchema.plugin(softDelete);
+
+// Subject fields copied onto each result mark (see Subject below)
+const subjectSnapshotSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+  },
+  code: String,
+  name: String,
+  fullMarks: Number,
+  mcqMarks: Number,
+  cqMarks: Number,
+  passMarks: Number,
+  mcqPassMarks: Number,
+  cqPassMarks: Number,
+  type: {
+    type: String,
+  },
+}, { _id: false });
+
+// One grade band: percentages from minPercent up to the next band earn this grade
+const gradeBandSchema = new mongoose.Schema({
+  minPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  grade: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  gpa: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// How a result's overall status and GPA are worked out (see utils/resultEngine.js)
+const resultRulesSchema = new mongoose.Schema({
+  failOnAnySubject: {
+    type: Boolean,
+    default: DEFAULT_RULES.failOnAnySubject,
+  },
+  componentPassMarks: {
+    type: Boolean,
+    default: DEFAULT_RULES.componentPassMarks,
+  },
+  // null: the optional subject counts like any other
+  optionalBonusAbove: {
+    type: Number,
+    default: DEFAULT_RULES.optionalBonusAbove,
+    min: 0,
+  },
+}, { _id: false });
+
+// One field of one subject changed by an amendment
+const markChangeSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+  },
+  field: {
+    type: String,
+    enum: ["mcqScore", "mcqTotal", "cqScore", "cqTotal"],
+    required: true,
+  },
+  // null when the subject had no marks before
+  from: {
+    type: Number,
+    default: null,
+  },
+  to: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+// One amendment of a result's marks; version is the result's version after it
+const resultAmendmentSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+  },
+  changes: [markChangeSchema],
+  reason: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const resultSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
@@ -200,6 +546,13 @@ const resultSchema = new mongoose.Schema({
     enum: ["1st", "2nd", "3rd"],
     required: true,
   },
+  // Academic session the result belongs to (results in closed sessions are read-only)
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicSession",
+    default: null,
+    index: true,
+  },
   examType: {
     type: String,
     enum: ["mcq", "cq", "combined"],
@@ -245,6 +598,15 @@ const resultSchema = new mongoose.Schema({
       gpa: {
         type: Number,
       },
+      // false when below the pass percentage or a pass mark
+      passed: {
+        type: Boolean,
+      },
+      // Copy of the subject definition the marks were entered against
+      definition: {
+        type: subjectSnapshotSchema,
+        default: null,
+      },
     },
   ],
   // Overall totals
@@ -260,17 +622,114 @@ const resultSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // GPA including any optional subject bonus (0 when the result is a fail)
   averageGPA: {
     type: Number,
     default: 0,
   },
+  gpaWithoutOptional: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["pass", "fail"],
+  },
+  // Compulsory subjects failed
+  failedSubjects: [
+    {
+      type: String,
+    },
+  ],
+  // Subject counted as the optional (4th) subject, if any
+  optionalSubject: {
+    type: String,
+    default: null,
+  },
+  // Copy of the grading scale the result was graded with, so later edits to the
+  // scale don't change it (see POST /grading-scales/:id/regrade to re-grade).
+  // Results from before grading scales have no bands and use the default ones.
+  grading: {
+    scale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GradingScale",
+      default: null,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    bands: [gradeBandSchema],
+    rules: {
+      type: resultRulesSchema,
+      default: () => ({}),
+    },
+  },
+  // 1 when submitted, raised by every amendment (see amendMarks below)
+  version: {
+    type: Number,
+    default: 1,
+  },
+  amendments: [resultAmendmentSchema],
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { optimisticConcurrency: true });
+
+// One result per student, session, semester and exam type; corrections amend it
+resultSchema.index({ student: 1, session: 1, semester: 1, examType: 1 }, { unique: true });
+
+const AMENDABLE_MARK_FIELDS = ["mcqScore", "mcqTotal", "cqScore", "cqTotal"];
+
+/**
+ * Change subject marks and log the changes as a new version (not saved; the
+ * pre-save hook recomputes totals and GPA on save)
+ * @param {Array<{ subject, mcqScore?, mcqTotal?, cqScore?, cqTotal?, definition? }>} updates
+ *   Subjects without marks yet are added
+ * @param {object} actor - User making the change
+ * @param {string} reason
+ * @returns {Array} The changes made; empty when every value was already the same
+ */
+resultSchema.methods.amendMarks = function (updates, actor, reason) {
+  const changes = [];
+  for (const update of updates) {
+    let mark = this.marks.find(m => m.subject === update.subject);
+    const added = !mark;
+    if (added) {
+      this.marks.push({ subject: update.subject });
+      mark = this.marks[this.marks.length - 1];
+    }
+    for (const field of AMENDABLE_MARK_FIELDS) {
+      if (update[field] === undefined || (!added && update[field] === mark[field])) continue;
+      changes.push({ subject: update.subject, field, from: added ? null : mark[field], to: update[field] });
+      mark[field] = update[field];
+    }
+    if (update.definition) mark.definition = update.definition;
+  }
+
+  if (changes.length > 0) {
+    this.version = (this.version || 1) + 1;
+    this.updatedAt = new Date();
+    this.amendments.push({ version: this.version, changes, reason, changedBy: actor ? actor._id : null });
+  }
+  return changes;
+};
+
+// New results take the grading scale for their class and session
+resultSchema.pre("save", async function () {
+  if (!this.isNew || (this.grading && this.grading.bands.length > 0)) return;
+  const scale = await GradingScale.forClass(this.class, this.session);
+  this.grading = scale
+    ? { scale: scale._id, name: scale.name, bands: scale.bands, rules: scale.rules }
+    : { scale: null, name: "Default", bands: DEFAULT_BANDS, rules: DEFAULT_RULES };
 });
 
-// Pre-save middleware to calculate grades, totalMarks, and averageGPA
+// Pre-save middleware to calculate grades, totals, pass/fail status and GPA
 resultSchema.pre("save", function (next) {
   try {
     if (!this.marks || this.marks.length === 0) {
@@ -278,52 +737,25 @@ resultSchema.pre("save", function (next) {
       return next(new Error("Marks array cannot be empty"));
     }
 
-    let totalMcq = 0;
-    let totalCq = 0;
-    let totalMarks = 0;
-    let gpaSum = 0;
-    let subjectCount = 0;
-
-    this.marks = this.marks.map((m) => {
-      // Calculate total score for the subject
-      const subjectTotalScore = (m.mcqScore || 0) + (m.cqScore || 0);
-      const subjectTotalMarks = (m.mcqTotal || 0) + (m.cqTotal || 0);
-      
-      // Validate scores
-      if (subjectTotalScore > subjectTotalMarks) {
-        console.error(`Pre-save error: Score exceeds total marks for subject ${m.subject}`);
-        return next(new Error(`Score exceeds total marks for subject ${m.subject}`));
-      }
-
-      // Calculate percentage for grading (assuming 100% scale)
-      const percentage = subjectTotalMarks > 0 ? (subjectTotalScore / subjectTotalMarks) * 100 : 0;
-      
-      const { grade, gpa } = getGrade(percentage);
-      
-      totalMcq += m.mcqScore || 0;
-      totalCq += m.cqScore || 0;
-      totalMarks += subjectTotalScore;
-      gpaSum += gpa;
-      subjectCount++;
-
-      return { 
-        ...m, 
-        totalScore: subjectTotalScore,
-        grade, 
-        gpa 
-      };
-    });
+    const grading = this.grading || {};
+    const rules = grading.rules ? grading.rules.toObject() : DEFAULT_RULES;
+    const computed = computeResult(this.marks, grading.bands, rules);
 
-    this.totalMcqMarks = totalMcq;
-    this.totalCqMarks = totalCq;
-    this.totalMarks = totalMarks;
-    this.averageGPA = subjectCount > 0 ? parseFloat((gpaSum / subjectCount).toFixed(2)) : 0;
+    this.marks.forEach((mark, index) => Object.assign(mark, computed.marks[index]));
+    this.totalMcqMarks = computed.totalMcqMarks;
+    this.totalCqMarks = computed.totalCqMarks;
+    this.totalMarks = computed.totalMarks;
+    this.status = computed.status;
+    this.failedSubjects = computed.failedSubjects;
+    this.optionalSubject = computed.optionalSubject;
+    this.gpaWithoutOptional = computed.gpaWithoutOptional;
+    this.averageGPA = computed.averageGPA;
 
     console.log("Pre-save calculated:", {
-      totalMcqMarks: this.totalMcqMarks,
-      totalCqMarks: this.totalCqMarks,
       totalMarks: this.totalMarks,
+      status: this.status,
       averageGPA: this.averageGPA,
+      gpaWithoutOptional: this.gpaWithoutOptional,
     });
     next();
   } catch (err) {
@@ -332,9 +764,413 @@ resultSchema.pre("save", function (next) {
   }
 });
 
+// Failed sign-in tracking, keyed by "account:<email/userName>" or "ip:<address>"
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Progressive delay: no new attempt is accepted before this time
+  nextAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  // Records are dropped a day after the last failure
+  lastFailedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60,
+  },
+});
+
+// A class (grade level); name is the canonical value stored on students, results and assignments ("6")
+const classSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  level: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1,
+  },
+  displayName: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A subject taught in one or more classes
+const subjectSchema = new mongoose.Schema({
+  // Short unique code, upper case ("MATH")
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  // Name stored on result marks and section subject lists ("Higher Math")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Canonical names of the classes that take this subject
+  classes: [
+    {
+      type: String,
+    },
+  ],
+  // fullMarks = mcqMarks + cqMarks
+  fullMarks: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  mcqMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cqMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  passMarks: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Separate pass marks for the MCQ and CQ parts (0: no separate requirement)
+  mcqPassMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cqPassMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  type: {
+    type: String,
+    enum: ["compulsory", "optional"],
+    default: "compulsory",
+  },
+  // Position in subject lists and mark sheets
+  order: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+subjectSchema.index({ classes: 1 });
+
+const sectionSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  // Canonical section name, upper case ("A")
+  name: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  // Maximum number of enrolled students (null: no limit)
+  capacity: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  classTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Names of the subjects taught in this section (empty: all subjects of the class)
+  subjects: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Highest roll handed out automatically; see nextRoll in utils/classes.js
+  lastRoll: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sectionSchema.index({ class: 1, name: 1 }, { unique: true });
+
+// Academic year; the current one is stored in the "currentAcademicSession" setting
+const academicSessionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Closed sessions are read-only
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Grading scale for a range of classes, optionally limited to one academic session
+const gradingScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+  },
+  // Highest band first; the lowest band starts at 0%
+  bands: {
+    type: [gradeBandSchema],
+    validate: [bands => bands.length > 0, "A grading scale needs at least one band"],
+  },
+  // Pass/fail and optional subject rules; copied onto results with the bands
+  rules: {
+    type: resultRulesSchema,
+    default: () => ({}),
+  },
+  // Class levels the scale covers (null: no lower/upper limit)
+  classFrom: {
+    type: Number,
+    default: null,
+  },
+  classTo: {
+    type: Number,
+    default: null,
+  },
+  // null: applies to every session without a scale of its own
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicSession",
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Scale for a class in a session; a session's own scale wins over a general one
+ * (class ranges never overlap within the same session, see gradingScales/route.js)
+ * @param {string} className - Canonical class name
+ * @param {ObjectId|null} sessionId
+ * @returns {Promise<object|null>} null when no scale covers the class
+ */
+gradingScaleSchema.statics.forClass = async function (className, sessionId) {
+  const classDoc = await mongoose.model("Class").findOne({ name: className });
+  const level = classDoc ? classDoc.level : Number(className);
+  const scales = await this.find({
+    session: { $in: [sessionId || null, null] },
+    $and: [
+      { $or: [{ classFrom: null }, { classFrom: { $lte: level } }] },
+      { $or: [{ classTo: null }, { classTo: { $gte: level } }] },
+    ],
+  });
+  return scales.find(scale => scale.session) || scales[0] || null;
+};
+
+// System-wide settings (e.g. requireAdminTwoFactor)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Email invitation to create an account; the invitee sets their own password
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  firstName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ["admin", "teacher", "guardian"],
+    required: true,
+  },
+  // Teachers: classes to assign when the invitation is accepted
+  assignedClasses: [
+    {
+      class: {
+        type: String,
+        required: true,
+      },
+      section: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
+  // Guardians: students to link when the invitation is accepted
+  children: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+  ],
+  // sha256 hash of the token sent in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "revoked"],
+    default: "pending",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 // Create models
 const User = mongoose.model("User", userSchema);
 const Student = mongoose.model("Student", studentSchema);
 const Result = mongoose.model("Result", resultSchema);
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+const Setting = mongoose.model("Setting", settingSchema);
+const Invitation = mongoose.model("Invitation", invitationSchema);
+const AcademicSession = mongoose.model("AcademicSession", academicSessionSchema);
+const Class = mongoose.model("Class", classSchema);
+const Section = mongoose.model("Section", sectionSchema);
+const GradingScale = mongoose.model("GradingScale", gradingScaleSchema);
+const Subject = mongoose.model("Subject", subjectSchema);
 
-module.exports = { User, Student, Result };
\ No newline at end of file
+module.exports = {
+  User,
+  Student,
+  Result,
+  LoginAttempt,
+  Setting,
+  Invitation,
+  AcademicSession,
+  Class,
+  Section,
+  GradingScale,
+  Subject,
+};
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Filters that already mention deletedAt (e.g. archive listings) are left alone
+const mentionsDeletedAt = (filter = {}) =>
+  Object.prototype.hasOwnProperty.call(filter, "deletedAt") ||
+  (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt));
+
+/**
+ * Soft deletion for a schema: adds deletedAt/deletedBy and hides archived
+ * documents from find/count/distinct/update queries.
+ * Use query.setOptions({ withDeleted: true }) to include archived documents.
+ */
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(
+    ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct", "updateOne", "updateMany"],
+    function () {
+      if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+      this.where({ deletedAt: null });
+    }
+  );
+};
@@ -13,6 +13,16 @@ const dashboard = require("../../routes/dashboard");
 const result = require("../../result/route");
 const update = require("../../updete/route");
 const payments = require("../../payments/route");
+const me = require("../../me/route");
+const guardians = require("../../guardians/route");
+const invitations = require("../../invitations/route");
+const promotions = require("../../promotions/route");
+const academicSessions = require("../../academicSessions/route");
+const classes = require("../../classes/route");
+const studentProfiles = require("../../studentProfiles/route");
+const gradingScales = require("../../gradingScales/route");
+const subjects = require("../../subjects/route");
+const markSheets = require("../../markSheets/route");
 
 const app = express();
 app.use(cors());
@@ -62,6 +72,16 @@ router.use('/data', dashboard);
 router.use('/data', result);
 router.use('/data', update);
 router.use('/data', payments);
+router.use('/data', me);
+router.use('/data', guardians);
+router.use('/data', invitations);
+router.use('/data', promotions);
+router.use('/data', academicSessions);
+router.use('/data', classes);
+router.use('/data', studentProfiles);
+router.use('/data', gradingScales);
+router.use('/data', subjects);
+router.use('/data', markSheets);
 
 module.exports.handler = serverless(app);
 
@@ -1,38 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { User, Student } = require('../model/schema');
-const jwt = require('jsonwebtoken');
+const { Student } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { sessionFromQuery, writableSession } = require('../utils/academicSession');
+const { formatPayments } = require('../utils/studentView');
 
-// Middleware to verify access token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) return res.status(401).json({ message: 'Access token required' });
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Invalid or expired token' });
-    req.user = user;
-    next();
-  });
-};
-
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) return res.status(404).json({ message: 'User not found' });
-      if (!allowedRoles.includes(user.role))
-        return res.status(403).json({ message: 'Insufficient permissions' });
-      req.currentUser = user;
-      next();
-    } catch (err) {
-      console.error('Role check error:', err.message);
-      res.status(500).json({ message: 'Server error' });
-    }
-  };
-};
+const CYCLE_MS = 30 * 24 * 60 * 60 * 1000;
 
 // Utility function to calculate days left and handle payment reset
 const calculatePaymentCycle = (lastPaymentDate) => {
@@ -58,6 +32,8 @@ const calculatePaymentCycle = (lastPaymentDate) => {
 };
 
 // ✅ Update student payment with 30-day cycle
+// Body: paymentAmount, hasPaid, session (id or "current"; optional, default: current).
+// Each update is also recorded in the student's payment history under that session.
 router.put('/payments/:studentId', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
     const { studentId } = req.params;
@@ -75,13 +51,14 @@ router.put('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
     if (!student) return res.status(404).json({ message: 'Student not found' });
 
     // Authorization check
-    if (
-      req.currentUser.role !== 'super_admin' &&
-      student.createdBy.toString() !== req.user.id
-    ) {
+    if (!(await can(req.currentUser, 'payment:update', student))) {
       return res.status(403).json({ message: 'Not authorized to update this student' });
     }
 
+    // Payments go to the given or current academic session; closed sessions are read-only
+    const { session: academicSession, status, message } = await writableSession(req.body.session);
+    if (status) return res.status(status).json({ message });
+
     // Check payment cycle and reset if needed
     const currentDate = new Date();
     let lastPaymentDate = student.lastPaymentDate || student.createdAt;
@@ -99,11 +76,19 @@ router.put('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
       updatedPaymentData.lastPaymentDate = currentDate;
     }
 
+    const paymentRecord = {
+      initialAmount: paymentAmount,
+      increasedAmount: paymentAmount,
+      dueDate: new Date(new Date(updatedPaymentData.lastPaymentDate || student.createdAt).getTime() + CYCLE_MS),
+      isPaid: hasPaid,
+      session: academicSession ? academicSession._id : null,
+    };
+
     // ✅ Update payment info
     const updatedStudent = await Student.findByIdAndUpdate(
       studentId,
-      { $set: updatedPaymentData },
-      { new: true }
+      { $set: updatedPaymentData, $push: { paymentDetails: paymentRecord } },
+      { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName email');
 
     // Calculate current payment cycle status for response
@@ -124,9 +109,11 @@ router.put('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
         lastPaymentDate: updatedStudent.lastPaymentDate,
         daysLeft: currentCycle.daysLeft,
         isOverdue: currentCycle.isOverdue,
-        nextPaymentDue: new Date(new Date(updatedStudent.lastPaymentDate || updatedStudent.createdAt).getTime() + 30 * 24 * 60 * 60 * 1000),
+        nextPaymentDue: new Date(new Date(updatedStudent.lastPaymentDate || updatedStudent.createdAt).getTime() + CYCLE_MS),
         createdBy: updatedStudent.createdBy,
       },
+      session: academicSession ? { id: academicSession._id, name: academicSession.name } : null,
+      payments: formatPayments(updatedStudent, academicSession).payments,
     });
   } catch (err) {
     console.error('Update payment error:', err.message);
@@ -135,6 +122,7 @@ router.put('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
 });
 
 // ✅ Get student payment status with days left
+// ?session=<id>|current limits the payment history to that academic session
 router.get('/payments/:studentId', authenticateToken, requireRole(['admin', 'super_admin', 'teacher']), async (req, res) => {
   try {
     const { studentId } = req.params;
@@ -143,13 +131,13 @@ router.get('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
     if (!student) return res.status(404).json({ message: 'Student not found' });
 
     // Authorization check for non-super_admin users
-    if (
-      req.currentUser.role !== 'super_admin' &&
-      student.createdBy.toString() !== req.user.id
-    ) {
+    if (!(await can(req.currentUser, 'payment:read', student))) {
       return res.status(403).json({ message: 'Not authorized to view this student' });
     }
 
+    const { session: academicSession, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
     // Calculate payment cycle status
     const lastPaymentDate = student.lastPaymentDate || student.createdAt;
     const paymentCycle = calculatePaymentCycle(lastPaymentDate);
@@ -175,9 +163,11 @@ router.get('/payments/:studentId', authenticateToken, requireRole(['admin', 'sup
         lastPaymentDate: student.lastPaymentDate,
         daysLeft: paymentCycle.daysLeft,
         isOverdue: paymentCycle.isOverdue,
-        nextPaymentDue: new Date(new Date(lastPaymentDate).getTime() + 30 * 24 * 60 * 60 * 1000),
+        nextPaymentDue: new Date(new Date(lastPaymentDate).getTime() + CYCLE_MS),
         createdBy: student.createdBy,
       },
+      session: academicSession ? { id: academicSession._id, name: academicSession.name } : null,
+      payments: formatPayments(student, academicSession).payments,
     });
   } catch (err) {
     console.error('Get payment error:', err.message);
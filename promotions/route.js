@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const { Student, Result, Class } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { studentScope } = require('../utils/policy');
+const { writableSession } = require('../utils/academicSession');
+const { resolveSection, capacityError } = require('../utils/classes');
+const { runInTransaction } = require('../utils/transaction');
+const { failingGrade } = require('../config/gradeUtils');
+
+const FINAL_SEMESTER = '3rd';
+const OUTCOMES = ['promote', 'retain', 'graduate'];
+
+/**
+ * Validate source/target and fill in the default target (next class, same section).
+ * Students in the highest class graduate instead of moving.
+ * @returns {Promise<object>} Promotion details, or { status, message } on error
+ */
+const parsePromotionRequest = async (body = {}) => {
+  const { fromClass, fromSection } = body;
+  if (!fromClass || !fromSection) {
+    return { status: 400, message: 'fromClass and fromSection are required' };
+  }
+
+  const source = await resolveSection(fromClass, fromSection);
+  if (!source.section) return source;
+
+  const finalClass = await Class.findOne().sort({ level: -1 });
+  const graduating = source.classDoc.level === finalClass.level;
+  if (graduating) {
+    return { fromClass: source.className, fromSection: source.sectionName, toClass: null, toSection: null, graduating };
+  }
+
+  const target = await resolveSection(body.toClass || source.classDoc.level + 1, body.toSection || source.sectionName);
+  if (!target.section) return target;
+  if (target.section._id.equals(source.section._id)) {
+    return { status: 400, message: 'Target must differ from the source class/section' };
+  }
+
+  return {
+    fromClass: source.className,
+    fromSection: source.sectionName,
+    toClass: target.className,
+    toSection: target.sectionName,
+    targetSection: target.section,
+    graduating,
+  };
+};
+
+/**
+ * Suggest an outcome for every active student in the source class/section
+ * from their latest final-semester result in the session they are enrolled in
+ * @returns {Promise<Array>} Rows ordered by roll
+ */
+const buildPreview = async (currentUser, { fromClass, fromSection, graduating }) => {
+  const students = await Student.find({
+    ...(await studentScope(currentUser)),
+    class: fromClass,
+    section: fromSection,
+    graduatedAt: null,
+  })
+    .select('name userName roll class section session')
+    .sort({ roll: 1 });
+
+  // Newest first, so the first result seen per student is their latest
+  const results = await Result.find({
+    student: { $in: students.map(s => s._id) },
+    class: fromClass,
+    semester: FINAL_SEMESTER,
+  }).sort({ createdAt: -1 });
+
+  const enrolledSession = new Map(students.map(s => [String(s._id), s.session]));
+  const latest = new Map();
+  for (const result of results) {
+    const studentId = String(result.student);
+    // Results from an earlier year in the same class (e.g. before a retention) don't count
+    const session = enrolledSession.get(studentId);
+    if (session && !session.equals(result.session)) continue;
+    if (!latest.has(studentId)) latest.set(studentId, result);
+  }
+
+  return students.map((student) => {
+    const result = latest.get(String(student._id));
+    // Results computed before pass/fail status was stored are checked grade by grade
+    let failedSubjects = [];
+    if (result) {
+      failedSubjects = result.status
+        ? result.failedSubjects
+        : result.marks.filter(m => m.grade === failingGrade(result)).map(m => m.subject);
+    }
+
+    let suggestedOutcome = graduating ? 'graduate' : 'promote';
+    let reason = `Passed the ${FINAL_SEMESTER} semester`;
+    if (!result) {
+      suggestedOutcome = 'retain';
+      reason = `No ${FINAL_SEMESTER} semester result`;
+    } else if (failedSubjects.length > 0) {
+      suggestedOutcome = 'retain';
+      reason = `Failed ${failedSubjects.join(', ')}`;
+    }
+
+    return {
+      student,
+      suggestedOutcome,
+      reason,
+      averageGPA: result ? result.averageGPA : null,
+      totalMarks: result ? result.totalMarks : null,
+      failedSubjects,
+    };
+  });
+};
+
+const formatPreviewRow = (row) => ({
+  studentId: row.student._id,
+  name: row.student.name,
+  userName: row.student.userName,
+  roll: row.student.roll,
+  suggestedOutcome: row.suggestedOutcome,
+  outcome: row.outcome || row.suggestedOutcome,
+  reason: row.reason,
+  averageGPA: row.averageGPA,
+  totalMarks: row.totalMarks,
+  failedSubjects: row.failedSubjects,
+  ...(row.newRoll !== undefined && { newRoll: row.newRoll }),
+});
+
+// ✅ Preview a year-end promotion with a suggested outcome per student
+router.post('/promotions/preview', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const promotion = await parsePromotionRequest(req.body);
+    if (promotion.status) return res.status(promotion.status).json({ message: promotion.message });
+
+    const rows = await buildPreview(req.currentUser, promotion);
+    const counts = Object.fromEntries(OUTCOMES.map(o => [o, rows.filter(r => r.suggestedOutcome === o).length]));
+
+    res.json({
+      message: `${rows.length} students in Class ${promotion.fromClass} (${promotion.fromSection})`,
+      from: { class: promotion.fromClass, section: promotion.fromSection },
+      to: promotion.graduating ? null : { class: promotion.toClass, section: promotion.toSection },
+      counts,
+      students: rows.map(formatPreviewRow),
+    });
+  } catch (err) {
+    console.error('Promotion preview error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Apply a promotion in one transaction
+// Body: source/target as for preview, overrides: { [studentId]: 'promote' | 'retain' | 'graduate' },
+// renumberByMerit: true to give promoted students new rolls by GPA, then total marks,
+// toSession: academic session the promoted/retained students are enrolled in (default: current)
+router.post('/promotions/apply', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const promotion = await parsePromotionRequest(req.body);
+    if (promotion.status) return res.status(promotion.status).json({ message: promotion.message });
+
+    const { overrides = {}, renumberByMerit = false } = req.body;
+    const { session: targetSession, status, message } = await writableSession(req.body.toSession);
+    if (status) return res.status(status).json({ message });
+
+    const rows = await buildPreview(req.currentUser, promotion);
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No students to promote' });
+    }
+
+    // Apply overrides; only students in this class/section may be overridden
+    const rowsById = new Map(rows.map(r => [String(r.student._id), r]));
+    for (const [studentId, outcome] of Object.entries(overrides)) {
+      const row = rowsById.get(studentId);
+      if (!row) {
+        return res.status(400).json({ message: `Student ${studentId} is not in Class ${promotion.fromClass} (${promotion.fromSection})` });
+      }
+      const allowed = promotion.graduating ? ['graduate', 'retain'] : ['promote', 'retain'];
+      if (!allowed.includes(outcome)) {
+        return res.status(400).json({ message: `Outcome must be one of: ${allowed.join(', ')}` });
+      }
+      row.outcome = outcome;
+    }
+    rows.forEach((row) => { row.outcome = row.outcome || row.suggestedOutcome; });
+
+    const promoted = rows.filter(r => r.outcome === 'promote');
+    if (promoted.length > 0) {
+      const fullError = await capacityError(promotion.targetSection, promotion.toClass, promoted.length);
+      if (fullError) {
+        return res.status(409).json({ message: `${fullError}; ${promoted.length} students would be promoted` });
+      }
+
+      const targetRolls = await Student.distinct('roll', { class: promotion.toClass, section: promotion.toSection });
+
+      if (renumberByMerit) {
+        // Best GPA first, then total marks, then previous roll; numbering continues after existing students
+        promoted.sort((a, b) => (
+          (b.averageGPA ?? -1) - (a.averageGPA ?? -1) ||
+          (b.totalMarks ?? -1) - (a.totalMarks ?? -1) ||
+          a.student.roll - b.student.roll
+        ));
+        const start = targetRolls.length > 0 ? Math.max(...targetRolls) : 0;
+        promoted.forEach((row, index) => { row.newRoll = start + index + 1; });
+      } else {
+        const taken = new Set(targetRolls);
+        const conflicts = promoted.filter(r => taken.has(r.student.roll));
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            message: `Rolls ${conflicts.map(r => r.student.roll).join(', ')} already exist in Class ${promotion.toClass} (${promotion.toSection}). Use renumberByMerit or move those students first.`,
+          });
+        }
+        promoted.forEach((row) => { row.newRoll = row.student.roll; });
+      }
+    }
+
+    const now = new Date();
+    const outcomeLabel = { promote: 'promoted', retain: 'retained', graduate: 'graduated' };
+    const operations = rows.map((row) => {
+      const update = {
+        $push: {
+          classHistory: {
+            class: promotion.fromClass,
+            section: promotion.fromSection,
+            roll: row.student.roll,
+            session: row.student.session,
+            outcome: outcomeLabel[row.outcome],
+            averageGPA: row.averageGPA,
+            changedBy: req.currentUser._id,
+            changedAt: now,
+          },
+        },
+      };
+      if (row.outcome === 'promote') {
+        update.$set = { class: promotion.toClass, section: promotion.toSection, roll: row.newRoll };
+      } else if (row.outcome === 'graduate') {
+        update.$set = { graduatedAt: now };
+      }
+      // Promoted and retained students are enrolled in the new session
+      if (row.outcome !== 'graduate' && targetSession) {
+        update.$set = { ...update.$set, session: targetSession._id };
+      }
+      return { updateOne: { filter: { _id: row.student._id }, update } };
+    });
+
+    await runInTransaction(async (session) => {
+      await Student.bulkWrite(operations, { session });
+    });
+
+    const counts = Object.fromEntries(OUTCOMES.map(o => [o, rows.filter(r => r.outcome === o).length]));
+    res.json({
+      message: `Promotion applied to ${rows.length} students`,
+      counts,
+      students: rows.map(formatPreviewRow),
+    });
+  } catch (err) {
+    console.error('Promotion apply error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,99 +1,111 @@
 const express = require("express");
 const router = express.Router();
-const { User, Student, Result } = require("../model/schema");
-const subjectsConfig = require("../config/subjectsConfig");
-const getGrade = require("../config/gradeUtils");
-const jwt = require("jsonwebtoken");
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) {
-    console.error("No token provided in Authorization header");
-    return res.status(401).json({ message: "Access token required" });
-  }
+const { Student, Result } = require("../model/schema");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { can } = require("../utils/policy");
+const { sessionFromQuery, findSession, writableSession } = require("../utils/academicSession");
+const { normalizeClassName, resolveSection } = require("../utils/classes");
+const { classSubjects, sectionSubjects, subjectSnapshot } = require("../utils/subjects");
+
+const MARK_FIELDS = ["mcqScore", "mcqTotal", "cqScore", "cqTotal"];
+
+// A result is unique per student, session, semester and exam type; corrections are amendments
+const findSubmitted = (studentId, academicSession, semester, examType) => Result.findOne({
+  student: studentId,
+  session: academicSession ? academicSession._id : null,
+  semester,
+  examType,
+});
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("Token verification failed:", err.message);
-      return res.status(403).json({ message: "Invalid or expired token" });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        console.error(`User not found for ID: ${req.user.id}`);
-        return res.status(404).json({ message: "User not found" });
-      }
+const submittedConflict = (res, result) => res.status(409).json({
+  message: `A ${result.examType.toUpperCase()} result for the ${result.semester} semester already exists; amend it with PATCH /results/${result._id}`,
+  resultId: result._id,
+});
 
-      if (!allowedRoles.includes(user.role)) {
-        console.error(`Insufficient permissions for user: ${user.email}, role: ${user.role}`);
-        return res.status(403).json({ message: "Insufficient permissions" });
-      }
+// ✅ Get subjects by class (?section=A for that section's subject list)
+// subjects: names; definitions: full marks, MCQ/CQ split, pass marks and type of each
+router.get("/subjects/:className", authenticateToken, async (req, res) => {
+  try {
+    const { className } = req.params;
 
-      req.currentUser = user;
-      next();
-    } catch (err) {
-      console.error("Role check error:", err.message);
-      res.status(500).json({ message: "Server error" });
+    let subjects;
+    if (req.query.section) {
+      const placement = await resolveSection(className, req.query.section);
+      if (!placement.section) {
+        return res.status(404).json({ message: placement.message });
+      }
+      subjects = await sectionSubjects(placement.section, placement.className);
+    } else {
+      subjects = await classSubjects(normalizeClassName(className));
     }
-  };
-};
 
-// ✅ Get subjects by class
-router.get("/subjects/:className", authenticateToken, (req, res) => {
-  const { className } = req.params;
-  const subjects = subjectsConfig[className];
+    if (subjects.length === 0) {
+      return res.status(404).json({ message: "No subjects found for this class" });
+    }
 
-  if (!subjects) {
-    return res.status(404).json({ message: "No subjects found for this class" });
+    res.json({ subjects: subjects.map(s => s.name), definitions: subjects.map(subjectSnapshot) });
+  } catch (err) {
+    console.error("Get subjects error:", err.message);
+    res.status(500).json({ message: "Server error" });
   }
-
-  res.json({ subjects });
 });
 
-// ✅ Get student results
-router.get("/results/:studentId",  async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    const student = await Student.findById(studentId);
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
-    }
-    const result = await Result.findOne({ student: studentId }).sort({ createdAt: -1 });
-    if (!result) {
-      return res.status(404).json({ message: "No results found for this student" });
+// ✅ Get student results (?session=<id>|current to pick an academic session)
+router.get(
+  "/results/:studentId",
+  authenticateToken,
+  requireRole(["super_admin", "admin", "teacher", "guardian", "student"]),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      const student = await Student.findById(studentId);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      if (!(await can(req.currentUser, "result:read", student))) {
+        return res.status(403).json({ message: "Not authorized to view this student's results" });
+      }
+      const { session: academicSession, status, message } = await sessionFromQuery(req);
+      if (status) {
+        return res.status(status).json({ message });
+      }
+
+      const filter = { student: studentId };
+      if (academicSession) filter.session = academicSession._id;
+      const result = await Result.findOne(filter).sort({ createdAt: -1 });
+      if (!result) {
+        return res.status(404).json({ message: "No results found for this student" });
+      }
+      res.status(200).json({
+        student: {
+          name: student.name,
+          roll: student.roll,
+          class: student.class,
+          section: student.section,
+        },
+        results: {
+          id: result._id,
+          version: result.version,
+          examType: result.examType,
+          semester: result.semester,
+          session: result.session,
+          marks: result.marks,
+          totalMcqMarks: result.totalMcqMarks,
+          totalCqMarks: result.totalCqMarks,
+          totalMarks: result.totalMarks,
+          status: result.status,
+          failedSubjects: result.failedSubjects,
+          optionalSubject: result.optionalSubject,
+          gpaWithoutOptional: result.gpaWithoutOptional,
+          averageGPA: result.averageGPA,
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching results:", err.message);
+      res.status(500).json({ message: "Server error" });
     }
-    res.status(200).json({
-      student: {
-        name: student.name,
-        roll: student.roll,
-        class: student.class,
-        section: student.section,
-      },
-      results: {
-        examType: result.examType,
-        semester: result.semester,
-        marks: result.marks,
-        totalMcqMarks: result.totalMcqMarks,
-        totalCqMarks: result.totalCqMarks,
-        totalMarks: result.totalMarks,
-        averageGPA: result.averageGPA,
-      },
-    });
-  } catch (err) {
-    console.error("Error fetching results:", err.message);
-    res.status(500).json({ message: "Server error" });
   }
-});
+);
 
 // ✅ Submit MCQ Result
 router.post(
@@ -109,28 +121,49 @@ router.post(
       if (!student) {
         return res.status(404).json({ message: "Student not found" });
       }
+      if (!(await can(req.currentUser, "result:write", student))) {
+        return res.status(403).json({ message: "Not authorized to submit results for this student" });
+      }
 
-      const validSubjects = subjectsConfig[classKey];
-      if (!validSubjects) {
-        return res.status(400).json({ message: `Invalid class: ${classKey}` });
+      // Class must exist; subjects come from the student's section
+      const placement = await resolveSection(classKey, student.section);
+      if (!placement.section) {
+        return res.status(placement.status).json({ message: placement.message });
+      }
+      const validSubjects = await sectionSubjects(placement.section, placement.className);
+      if (validSubjects.length === 0) {
+        return res.status(400).json({ message: `No subjects are set up for Class ${placement.className}` });
       }
 
-      // Format marks for MCQ system
+      // Results go to the given or current academic session; closed sessions are read-only
+      const { session: academicSession, status, message } = await writableSession(req.body.session);
+      if (status) {
+        return res.status(status).json({ message });
+      }
+
+      // Format marks for MCQ system (total defaults to the subject's MCQ marks)
       const formattedMarks = validSubjects.map((subject) => {
-        const subjectMarks = marks[subject] || {};
+        const subjectMarks = marks[subject.name] || {};
         return {
-          subject,
+          subject: subject.name,
           mcqScore: subjectMarks.score || 0,
-          mcqTotal: subjectMarks.total || 0,
+          mcqTotal: subjectMarks.total ?? subject.mcqMarks,
           cqScore: 0,
           cqTotal: 0,
+          definition: subjectSnapshot(subject),
         };
       });
 
+      const submitted = await findSubmitted(studentId, academicSession, semester, "mcq");
+      if (submitted) {
+        return submittedConflict(res, submitted);
+      }
+
       const newResult = new Result({
         student: studentId,
-        class: classKey,
+        class: placement.className,
         semester,
+        session: academicSession ? academicSession._id : null,
         examType: "mcq",
         marks: formattedMarks,
       });
@@ -142,6 +175,9 @@ router.post(
         data: newResult,
       });
     } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "This result has already been submitted" });
+      }
       console.error("Submit MCQ result error:", err.message);
       res.status(500).json({ message: "Server error" });
     }
@@ -162,28 +198,49 @@ router.post(
       if (!student) {
         return res.status(404).json({ message: "Student not found" });
       }
+      if (!(await can(req.currentUser, "result:write", student))) {
+        return res.status(403).json({ message: "Not authorized to submit results for this student" });
+      }
+
+      // Class must exist; subjects come from the student's section
+      const placement = await resolveSection(classKey, student.section);
+      if (!placement.section) {
+        return res.status(placement.status).json({ message: placement.message });
+      }
+      const validSubjects = await sectionSubjects(placement.section, placement.className);
+      if (validSubjects.length === 0) {
+        return res.status(400).json({ message: `No subjects are set up for Class ${placement.className}` });
+      }
 
-      const validSubjects = subjectsConfig[classKey];
-      if (!validSubjects) {
-        return res.status(400).json({ message: `Invalid class: ${classKey}` });
+      // Results go to the given or current academic session; closed sessions are read-only
+      const { session: academicSession, status, message } = await writableSession(req.body.session);
+      if (status) {
+        return res.status(status).json({ message });
       }
 
-      // Format marks for CQ system
+      // Format marks for CQ system (total defaults to the subject's CQ marks)
       const formattedMarks = validSubjects.map((subject) => {
-        const subjectMarks = marks[subject] || {};
+        const subjectMarks = marks[subject.name] || {};
         return {
-          subject,
+          subject: subject.name,
           mcqScore: 0,
           mcqTotal: 0,
           cqScore: subjectMarks.score || 0,
-          cqTotal: subjectMarks.total || 0,
+          cqTotal: subjectMarks.total ?? subject.cqMarks,
+          definition: subjectSnapshot(subject),
         };
       });
 
+      const submitted = await findSubmitted(studentId, academicSession, semester, "cq");
+      if (submitted) {
+        return submittedConflict(res, submitted);
+      }
+
       const newResult = new Result({
         student: studentId,
-        class: classKey,
+        class: placement.className,
         semester,
+        session: academicSession ? academicSession._id : null,
         examType: "cq",
         marks: formattedMarks,
       });
@@ -195,6 +252,9 @@ router.post(
         data: newResult,
       });
     } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "This result has already been submitted" });
+      }
       console.error("Submit CQ result error:", err.message);
       res.status(500).json({ message: "Server error" });
     }
@@ -216,28 +276,49 @@ router.post(
       if (!student) {
         return res.status(404).json({ message: "Student not found" });
       }
+      if (!(await can(req.currentUser, "result:write", student))) {
+        return res.status(403).json({ message: "Not authorized to submit results for this student" });
+      }
+
+      // Class must exist; subjects come from the student's section
+      const placement = await resolveSection(classKey, student.section);
+      if (!placement.section) {
+        return res.status(placement.status).json({ message: placement.message });
+      }
+      const validSubjects = await sectionSubjects(placement.section, placement.className);
+      if (validSubjects.length === 0) {
+        return res.status(400).json({ message: `No subjects are set up for Class ${placement.className}` });
+      }
 
-      const validSubjects = subjectsConfig[classKey];
-      if (!validSubjects) {
-        return res.status(400).json({ message: `Invalid class: ${classKey}` });
+      // Results go to the given or current academic session; closed sessions are read-only
+      const { session: academicSession, status, message } = await writableSession(req.body.session);
+      if (status) {
+        return res.status(status).json({ message });
       }
 
-      // Format marks for combined system
+      // Format marks for combined system (totals default to the subject's MCQ/CQ split)
       const formattedMarks = validSubjects.map((subject) => {
-        const subjectMarks = marks[subject] || {};
+        const subjectMarks = marks[subject.name] || {};
         return {
-          subject,
+          subject: subject.name,
           mcqScore: subjectMarks.mcqScore || 0,
-          mcqTotal: subjectMarks.mcqTotal || 0,
+          mcqTotal: subjectMarks.mcqTotal ?? subject.mcqMarks,
           cqScore: subjectMarks.cqScore || 0,
-          cqTotal: subjectMarks.cqTotal || 0,
+          cqTotal: subjectMarks.cqTotal ?? subject.cqMarks,
+          definition: subjectSnapshot(subject),
         };
       });
 
+      const submitted = await findSubmitted(studentId, academicSession, semester, "combined");
+      if (submitted) {
+        return submittedConflict(res, submitted);
+      }
+
       const newResult = new Result({
         student: studentId,
-        class: classKey,
+        class: placement.className,
         semester,
+        session: academicSession ? academicSession._id : null,
         examType: "combined",
         marks: formattedMarks,
       });
@@ -249,52 +330,204 @@ router.post(
         data: newResult,
       });
     } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "This result has already been submitted" });
+      }
       console.error("Submit combined result error:", err.message);
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// ✅ Get results by exam type
-router.get("/results/:studentId/:examType", authenticateToken, async (req, res) => {
-  try {
-    const { studentId, examType } = req.params;
-    
-    const student = await Student.findById(studentId);
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
+// ✅ Amend subject marks of a result; totals, grades and GPA are recomputed and the
+// change is logged as a new version
+// Body: marks { subjectName: { mcqScore?, mcqTotal?, cqScore?, cqTotal? } }, reason,
+// version (optional: the version being amended, rejected with 409 if it has changed since)
+router.patch(
+  "/results/:resultId",
+  authenticateToken,
+  requireRole(["teacher", "admin", "super_admin"]),
+  async (req, res) => {
+    try {
+      const { marks, reason, version } = req.body;
+      if (typeof reason !== "string" || !reason.trim()) {
+        return res.status(400).json({ message: "A reason for the amendment is required" });
+      }
+      if (!marks || typeof marks !== "object" || Array.isArray(marks) || Object.keys(marks).length === 0) {
+        return res.status(400).json({ message: "marks must name at least one subject" });
+      }
+      const expectedVersion = version === undefined ? undefined : Number(version);
+      if (expectedVersion !== undefined && (!Number.isInteger(expectedVersion) || expectedVersion < 1)) {
+        return res.status(400).json({ message: "version must be a whole number of 1 or more" });
+      }
+
+      const result = await Result.findById(req.params.resultId);
+      if (!result) {
+        return res.status(404).json({ message: "Result not found" });
+      }
+      const student = await Student.findById(result.student);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      if (!(await can(req.currentUser, "result:write", student))) {
+        return res.status(403).json({ message: "Not authorized to amend this student's results" });
+      }
+
+      // Results in closed sessions are read-only
+      if (result.session) {
+        const { session: academicSession, status, message } = await findSession(String(result.session));
+        if (status) {
+          return res.status(status).json({ message });
+        }
+        if (academicSession.status === "closed") {
+          return res.status(409).json({ message: `Academic session ${academicSession.name} is closed and read-only` });
+        }
+      }
+      if (expectedVersion !== undefined && expectedVersion !== result.version) {
+        return res.status(409).json({ message: `Result is at version ${result.version}; reload it before amending` });
+      }
+
+      const updates = [];
+      for (const [subject, values] of Object.entries(marks)) {
+        const mark = result.marks.find(m => m.subject === subject);
+        if (!mark) {
+          return res.status(400).json({ message: `${subject} is not a subject of this result` });
+        }
+        if (!values || typeof values !== "object") {
+          return res.status(400).json({ message: `Marks for ${subject} must be an object` });
+        }
+        const update = { subject };
+        for (const field of MARK_FIELDS) {
+          if (values[field] === undefined) continue;
+          if (typeof values[field] !== "number" || !Number.isFinite(values[field]) || values[field] < 0) {
+            return res.status(400).json({ message: `${subject} ${field} must be a number of 0 or more` });
+          }
+          update[field] = values[field];
+        }
+        const mcqScore = update.mcqScore ?? mark.mcqScore;
+        const mcqTotal = update.mcqTotal ?? mark.mcqTotal;
+        const cqScore = update.cqScore ?? mark.cqScore;
+        const cqTotal = update.cqTotal ?? mark.cqTotal;
+        if (mcqScore > mcqTotal || cqScore > cqTotal) {
+          return res.status(400).json({ message: `Score exceeds total marks for subject ${subject}` });
+        }
+        updates.push(update);
+      }
+
+      const changes = result.amendMarks(updates, req.currentUser, reason.trim());
+      if (changes.length === 0) {
+        return res.status(400).json({ message: "No marks were changed" });
+      }
+      await result.save();
+
+      res.status(200).json({
+        message: "Result amended successfully",
+        amendment: result.amendments[result.amendments.length - 1],
+        data: result,
+      });
+    } catch (err) {
+      if (err.name === "VersionError") {
+        return res.status(409).json({ message: "Result was changed by someone else; reload it before amending" });
+      }
+      console.error("Amend result error:", err.message);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    const result = await Result.findOne({ 
-      student: studentId, 
-      examType 
-    }).sort({ createdAt: -1 });
+// ✅ Amendment history of a result, newest first
+router.get(
+  "/results/:resultId/amendments",
+  authenticateToken,
+  requireRole(["super_admin", "admin", "teacher", "guardian", "student"]),
+  async (req, res) => {
+    try {
+      const result = await Result.findById(req.params.resultId)
+        .populate("amendments.changedBy", "firstName lastName email role");
+      if (!result) {
+        return res.status(404).json({ message: "Result not found" });
+      }
+      const student = await Student.findById(result.student);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      if (!(await can(req.currentUser, "result:read", student))) {
+        return res.status(403).json({ message: "Not authorized to view this student's results" });
+      }
 
-    if (!result) {
-      return res.status(404).json({ message: `No ${examType.toUpperCase()} results found for this student` });
+      res.status(200).json({
+        resultId: result._id,
+        version: result.version,
+        createdAt: result.createdAt,
+        updatedAt: result.updatedAt,
+        amendments: [...result.amendments].reverse(),
+      });
+    } catch (err) {
+      console.error("Get result amendments error:", err.message);
+      res.status(500).json({ message: "Server error" });
     }
+  }
+);
 
-    res.status(200).json({
-      student: {
-        name: student.name,
-        roll: student.roll,
-        class: student.class,
-        section: student.section,
-      },
-      results: {
-        examType: result.examType,
-        semester: result.semester,
-        marks: result.marks,
-        totalMcqMarks: result.totalMcqMarks,
-        totalCqMarks: result.totalCqMarks,
-        totalMarks: result.totalMarks,
-        averageGPA: result.averageGPA,
-      },
-    });
-  } catch (err) {
-    console.error("Error fetching results by exam type:", err.message);
-    res.status(500).json({ message: "Server error" });
+// ✅ Get results by exam type (?session=<id>|current)
+router.get(
+  "/results/:studentId/:examType",
+  authenticateToken,
+  requireRole(["super_admin", "admin", "teacher", "guardian", "student"]),
+  async (req, res) => {
+    try {
+      const { studentId, examType } = req.params;
+      
+      const student = await Student.findById(studentId);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      if (!(await can(req.currentUser, "result:read", student))) {
+        return res.status(403).json({ message: "Not authorized to view this student's results" });
+      }
+
+      const { session: academicSession, status, message } = await sessionFromQuery(req);
+      if (status) {
+        return res.status(status).json({ message });
+      }
+
+      const filter = { student: studentId, examType };
+      if (academicSession) filter.session = academicSession._id;
+      const result = await Result.findOne(filter).sort({ createdAt: -1 });
+
+      if (!result) {
+        return res.status(404).json({ message: `No ${examType.toUpperCase()} results found for this student` });
+      }
+
+      res.status(200).json({
+        student: {
+          name: student.name,
+          roll: student.roll,
+          class: student.class,
+          section: student.section,
+        },
+        results: {
+          id: result._id,
+          version: result.version,
+          examType: result.examType,
+          semester: result.semester,
+          session: result.session,
+          marks: result.marks,
+          totalMcqMarks: result.totalMcqMarks,
+          totalCqMarks: result.totalCqMarks,
+          totalMarks: result.totalMarks,
+          status: result.status,
+          failedSubjects: result.failedSubjects,
+          optionalSubject: result.optionalSubject,
+          gpaWithoutOptional: result.gpaWithoutOptional,
+          averageGPA: result.averageGPA,
+        },
+      });
+    } catch (err) {
+      console.error("Error fetching results by exam type:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 module.exports = router;
\ No newline at end of file
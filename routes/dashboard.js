@@ -2,57 +2,31 @@
 const express = require("express");
 const router = express.Router();
 const { User, Student } = require("../model/schema");
-const jwt = require("jsonwebtoken");
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) {
-    console.error("No token provided in Authorization header");
-    return res.status(401).json({ message: "Access token required" });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("Token verification failed:", err.message);
-      return res.status(403).json({ message: "Invalid or expired token" });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        console.error(`User not found for ID: ${req.user.id}`);
-        return res.status(404).json({ message: "User not found" });
-      }
-
-      if (!allowedRoles.includes(user.role)) {
-        console.error(`Insufficient permissions for user: ${user.email}, role: ${user.role}`);
-        return res.status(403).json({ message: "Insufficient permissions" });
-      }
-
-      req.currentUser = user; // Add user object to request
-      next();
-    } catch (err) {
-      console.error("Role check error:", err.message);
-      res.status(500).json({ message: "Server error" });
-    }
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { studentScope, userScope } = require("../utils/policy");
+const { sessionFromQuery } = require("../utils/academicSession");
+
+// Counts limited to what the current user manages (super admin: everything);
+// with an academic session, students are those currently enrolled in it
+const getScopedCounts = async (currentUser, academicSession) => {
+  const users = userScope(currentUser);
+  const students = await studentScope(currentUser);
+  return {
+    adminCount: await User.countDocuments({ ...users, role: "admin" }),
+    teacherCount: await User.countDocuments({ ...users, role: "teacher" }),
+    studentCount: await Student.countDocuments(
+      academicSession ? { $and: [students, { session: academicSession._id }] } : students
+    ),
   };
 };
 
-// Get dashboard statistics
+// Get dashboard statistics (?session=<id>|current)
 router.get("/stats", authenticateToken, requireRole(["super_admin", "admin"]), async (req, res) => {
   try {
-    const adminCount = await User.countDocuments({ role: "admin" });
-    const teacherCount = await User.countDocuments({ role: "teacher" });
-    const studentCount = await Student.countDocuments();
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    const { adminCount, teacherCount, studentCount } = await getScopedCounts(req.currentUser, session);
 
     res.json({
       adminCount,
@@ -65,14 +39,17 @@ router.get("/stats", authenticateToken, requireRole(["super_admin", "admin"]), a
   }
 });
 
-// Get chart data
+// Get chart data (?session=<id>|current)
 router.get("/chart-data", authenticateToken, requireRole(["super_admin", "admin"]), async (req, res) => {
   try {
-    // Example data - you can customize this based on your needs
+    const { session, status, message } = await sessionFromQuery(req);
+    if (status) return res.status(status).json({ message });
+
+    const { adminCount, teacherCount, studentCount } = await getScopedCounts(req.currentUser, session);
     const chartData = [
-      { name: "Admins", count: await User.countDocuments({ role: "admin" }) },
-      { name: "Teachers", count: await User.countDocuments({ role: "teacher" }) },
-      { name: "Students", count: await Student.countDocuments() },
+      { name: "Admins", count: adminCount },
+      { name: "Teachers", count: teacherCount },
+      { name: "Students", count: studentCount },
     ];
 
     res.json(chartData);
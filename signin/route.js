@@ -1,20 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { User, Student } = require('../model/schema');
+const { User, Student, Setting, Invitation } = require('../model/schema');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const crypto = require('crypto');
+const sendEmail = require('../utils/sendEmail');
+const loginThrottle = require('../utils/loginThrottle');
+const totp = require('../utils/totp');
+const { bumpTokenVersion } = require('../utils/tokenVersion');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can, studentScope, userScope, isAssignedTo, activeAssignments } = require('../utils/policy');
+const generateAdminCode = require('../utils/adminCode');
+const { sendInvitation } = require('../utils/invitations');
+const { getCurrentSession, withSession, sessionFromQuery } = require('../utils/academicSession');
+const { resolveAssignments } = require('../utils/classes');
+const { exportFormat, sendExport } = require('../utils/exportFile');
+const { parseListQuery, findPage, findCursor } = require('../utils/pagination');
 
 dotenv.config();
 
 // jwt secret
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// Generate tokens function
-const generateTokens = (userId) => {
+// Sort/search options for list routes (see utils/pagination)
+const USER_LIST = {
+  sortFields: ['firstName', 'lastName', 'email', 'role', 'createdAt'],
+  defaultSort: { createdAt: -1, _id: 1 },
+  searchFields: ['firstName', 'lastName', 'email'],
+};
+
+const STUDENT_LIST = {
+  sortFields: ['name', 'userName', 'roll', 'class', 'section', 'createdAt'],
+  defaultSort: { class: 1, section: 1, roll: 1, _id: 1 },
+  searchFields: ['name', 'userName'],
+};
+
+// Generate tokens function (tv = account token version, checked in authenticateToken)
+const generateTokens = (account) => {
   const accessToken = jwt.sign(
-    { id: userId },
+    { id: account._id, tv: account.tokenVersion || 0 },
     process.env.JWT_SECRET,
     { expiresIn: '24h' }
   );
@@ -23,69 +48,206 @@ const generateTokens = (userId) => {
   return { accessToken, refreshToken };
 };
 
-// Generate admin code (format: YYMM001)
-const generateAdminCode = async () => {
-  const now = new Date();
-  const year = now.getFullYear().toString().slice(-2);
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const prefix = year + month;
-  
-  // Find the latest admin code with the same prefix
-  const latestAdmin = await User.findOne(
-    { adminCode: new RegExp(`^${prefix}`) },
-    { adminCode: 1 },
-    { sort: { adminCode: -1 } }
-  );
-  
-  let sequence = 1;
-  if (latestAdmin && latestAdmin.adminCode) {
-    const lastSequence = parseInt(latestAdmin.adminCode.slice(-3));
-    sequence = lastSequence + 1;
-  }
-  
-  return prefix + sequence.toString().padStart(3, '0');
+// Hash tokens/codes before storing them (sha256, hex)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh token settings
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_SESSIONS = 5;
+
+// Start a new token family for a fresh sign-in (limit to 5 devices)
+const addRefreshToken = (account, refreshToken, req) => {
+  account.refreshTokens.push({
+    token: hashToken(refreshToken),
+    family: crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || ''
+  });
+  if (account.refreshTokens.length > MAX_SESSIONS) {
+    account.refreshTokens = account.refreshTokens.slice(-MAX_SESSIONS);
+  }
 };
 
-// Middleware to verify access token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Find the account (User or Student) matching a refresh token hash on the given field
+const findByRefreshHash = async (field, tokenHash) => {
+  const user = await User.findOne({ [`refreshTokens.${field}`]: tokenHash });
+  if (user) return { account: user, isStudent: false };
+
+  const student = await Student.findOne({ [`refreshTokens.${field}`]: tokenHash });
+  if (student) return { account: student, isStudent: true };
+
+  return { account: null, isStudent: false };
+};
 
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
+// Public view of an account's sessions (never exposes token hashes)
+const formatSessions = (account) => account.refreshTokens.map(session => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt
+}));
+
+// Compared against when the account does not exist, so both paths take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('invalid-password-placeholder', 10);
+const INVALID_CREDENTIALS = 'Invalid email/username or password';
+
+// Record a failed sign-in for the account and IP, alerting super admins
+// when an admin or super_admin account gets locked
+const registerFailedSignin = async (req, identifier, account) => {
+  await loginThrottle.recordFailure(loginThrottle.ipKey(req.ip), loginThrottle.IP_POLICY);
+  const locked = await loginThrottle.recordFailure(loginThrottle.accountKey(identifier), loginThrottle.ACCOUNT_POLICY);
+
+  if (locked) {
+    console.warn(`Sign-in locked for ${identifier} after repeated failures (ip ${req.ip})`);
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  if (locked && account && ['admin', 'super_admin'].includes(account.role)) {
+    const superAdmins = await User.find({ role: 'super_admin' }).select('email');
+    const lockMinutes = loginThrottle.ACCOUNT_POLICY.lockMs / 60000;
+    for (const superAdmin of superAdmins) {
+      await sendEmail(
+        superAdmin.email,
+        'Account locked after failed sign-in attempts',
+        `<p>The ${account.role.replace('_', ' ')} account <b>${account.email}</b> has been locked for ${lockMinutes} minutes
+         after ${loginThrottle.ACCOUNT_POLICY.maxAttempts} failed sign-in attempts.</p>
+         <p>Last attempt from IP: ${req.ip}</p>
+         <p>If this was not expected, consider resetting the account's password.</p>`
+      );
     }
-    req.user = user;
-    next();
+  }
+};
+
+// Issue access/refresh tokens for a teacher/admin once every sign-in step has passed
+const completeUserSignin = async (req, res, user, extra = {}) => {
+  await loginThrottle.clearFailures(loginThrottle.accountKey(user.email));
+
+  // Generate tokens
+  const { accessToken, refreshToken } = generateTokens(user);
+
+  // Save hashed refresh token to user
+  addRefreshToken(user, refreshToken, req);
+  await user.save();
+
+  // Prepare user response data
+  const userResponse = {
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role
+  };
+
+  // Add role-specific fields
+  if (user.role === 'admin') {
+    userResponse.adminCode = user.adminCode;
+  } else if (user.role === 'teacher') {
+    userResponse.assignedClasses = user.assignedClasses;
+  } else if (user.role === 'guardian') {
+    userResponse.children = user.children;
+  }
+
+  res.status(200).json({
+    accessToken,
+    refreshToken,
+    user: userResponse,
+    ...extra
   });
 };
 
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
+// Two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'super_admin'];
+const TWO_FACTOR_ISSUER = 'School Management';
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
 
-      if (!allowedRoles.includes(user.role)) {
-        return res.status(403).json({ message: 'Insufficient permissions' });
-      }
+// Challenge tokens use their own secret so they can never pass as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
 
-      req.currentUser = user; // Add user object to request
-      next();
-    } catch (err) {
-      console.error('Role check error:', err.message);
-      res.status(500).json({ message: 'Server error' });
+const generateChallengeToken = (userId, purpose) => jwt.sign(
+  { id: userId, purpose },
+  challengeSecret(),
+  { expiresIn: '5m' }
+);
+
+// Returns the token payload, or null if invalid/expired or issued for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, challengeSecret());
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const isTwoFactorRequired = async (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) return false;
+  const setting = await Setting.findOne({ key: 'requireAdminTwoFactor' });
+  return setting?.value === true;
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Generate recovery codes (xxxxx-xxxxx); only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// Check a TOTP code or consume a recovery code (user must be loaded with TWO_FACTOR_FIELDS)
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      return true;
     }
-  };
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    if (user.twoFactor.recoveryCodes.includes(codeHash)) {
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(hash => hash !== codeHash);
+      return true;
+    }
+  }
+
+  return false;
 };
 
+// Invite mode for /admin/create and /teacher/create: email a link instead of setting a password
+const createInvitation = async (req, res, fields) => {
+  const existingInvite = await Invitation.findOne({ email: fields.email, status: 'pending' });
+  if (existingInvite) {
+    return res.status(400).json({ message: 'An invitation is already pending for this email' });
+  }
+
+  const invitation = new Invitation({ ...fields, invitedBy: req.currentUser._id });
+  await sendInvitation(invitation, req.currentUser);
+
+  res.status(201).json({
+    message: 'Invitation sent',
+    invitation: {
+      id: invitation._id,
+      email: invitation.email,
+      firstName: invitation.firstName,
+      lastName: invitation.lastName,
+      role: invitation.role,
+      assignedClasses: invitation.assignedClasses,
+      expiresAt: invitation.expiresAt
+    }
+  });
+};
+
+// Password reset lifetimes
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const RESET_CODE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
 // Create initial super admin (run this once manually or via script)
 router.post('/setup-super-admin', async (req, res) => {
   try {
@@ -143,22 +305,27 @@ router.post('/setup-super-admin', async (req, res) => {
 // Super admin creates admin
 router.post('/admin/create', authenticateToken, requireRole(['super_admin']), async (req, res) => {
   try {
-    const { firstName, lastName, email, password } = req.body;
+    const { firstName, lastName, email, password, invite } = req.body;
 
-    if (!firstName || !lastName || !email || !password) {
+    if (!firstName || !lastName || !email || (!invite && !password)) {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
-    if (password.length < 6) {
+    if (!invite && password.length < 6) {
       return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
 
     // Check if user exists
-    let user = await User.findOne({ email });
+    let user = await User.findOne({ email: email.toLowerCase().trim() }).setOptions({ withDeleted: true });
     if (user) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    // Invite mode: the new admin sets their own password from the emailed link
+    if (invite) {
+      return createInvitation(req, res, { firstName, lastName, email: email.toLowerCase().trim(), role: 'admin' });
+    }
+
     // Generate admin code
     const adminCode = await generateAdminCode();
 
@@ -207,13 +374,13 @@ router.post('/admin/create', authenticateToken, requireRole(['super_admin']), as
 // Admin creates teacher with multiple classes
 router.post('/teacher/create', authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
   try {
-    const { firstName, lastName, email, password, assignedClasses } = req.body;
+    const { firstName, lastName, email, password, assignedClasses, invite } = req.body;
 
-    if (!firstName || !lastName || !email || !password || !assignedClasses || !Array.isArray(assignedClasses)) {
+    if (!firstName || !lastName || !email || (!invite && !password) || !assignedClasses || !Array.isArray(assignedClasses)) {
       return res.status(400).json({ message: 'All fields are required and assignedClasses must be an array' });
     }
 
-    if (password.length < 6) {
+    if (!invite && password.length < 6) {
       return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
 
@@ -223,13 +390,29 @@ router.post('/teacher/create', authenticateToken, requireRole(['admin', 'super_a
         return res.status(400).json({ message: 'Each assigned class must have both class and section' });
       }
     }
+    // Every class/section must exist; names are stored in canonical form
+    const assignments = await resolveAssignments(assignedClasses);
+    if (!assignments.assignedClasses) {
+      return res.status(assignments.status).json({ message: assignments.message });
+    }
 
     // Check if user exists
-    let user = await User.findOne({ email });
+    let user = await User.findOne({ email: email.toLowerCase().trim() }).setOptions({ withDeleted: true });
     if (user) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    // Invite mode: the new teacher sets their own password from the emailed link
+    if (invite) {
+      return createInvitation(req, res, {
+        firstName,
+        lastName,
+        email: email.toLowerCase().trim(),
+        role: 'teacher',
+        assignedClasses: assignments.assignedClasses
+      });
+    }
+
     // Create new teacher
     user = new User({
       firstName,
@@ -237,7 +420,8 @@ router.post('/teacher/create', authenticateToken, requireRole(['admin', 'super_a
       email,
       password,
       role: 'teacher',
-      assignedClasses,
+      // Assignments without a session belong to the current one
+      assignedClasses: withSession(assignments.assignedClasses, await getCurrentSession()),
       createdBy: req.user.id // Set creator as admin
     });
 
@@ -269,112 +453,32 @@ router.post('/teacher/create', authenticateToken, requireRole(['admin', 'super_a
   }
 });
 
-// Admin creates student
-router.post(
-  '/student/create',
-  authenticateToken,
-  requireRole(['admin', 'super_admin']),
-  async (req, res) => {
-    try {
-      const { name, userName, password, roll, class: studentClass, section } = req.body;
-
-      if (!name || !userName || !password || !roll || !studentClass || !section) {
-        return res.status(400).json({ message: 'All fields are required' });
-      }
-
-      if (password.length < 6) {
-        return res.status(400).json({ message: 'Password must be at least 6 characters' });
-      }
-
-      // ✅ 1. Check for duplicate username
-      const existingUser = await Student.findOne({ userName });
-      if (existingUser) {
-        return res.status(400).json({ message: 'Username already taken' });
-      }
-
-      // ✅ 2. Check for duplicate roll number in same class + section
-      const existingRoll = await Student.findOne({
-        class: studentClass,
-        section,
-        roll,
-      });
-      if (existingRoll) {
-        return res.status(400).json({
-          message: `Roll ${roll} already exists in Class ${studentClass}${section ? ` (${section})` : ''}`,
-        });
-      }
-
-      // ✅ 3. Create new student
-      const student = new Student({
-        name,
-        userName,
-        password,
-        roll,
-        class: studentClass,
-        section,
-        createdBy: req.user.id,
-      });
-
-      // ✅ 4. Hash password
-      const salt = await bcrypt.genSalt(10);
-      student.password = await bcrypt.hash(password, salt);
-
-      await student.save();
-
-      res.status(201).json({
-        message: 'Student created successfully',
-        student: {
-          id: student._id,
-          name: student.name,
-          userName: student.userName,
-          roll: student.roll,
-          class: student.class,
-          section: student.section,
-          createdBy: student.createdBy,
-        },
-      });
-    } catch (err) {
-      console.error('Create student error:', err.message);
-      res.status(500).json({ message: 'Server error' });
-    }
-  }
-);
-
 // Teacher gets students from their assigned classes
 router.get('/teacher/students', authenticateToken, requireRole(['teacher', 'super_admin']), async (req, res) => {
   try {
-    const teacher = await User.findById(req.user.id);
-    if (!teacher) {
-      return res.status(404).json({ message: 'Teacher not found' });
-    }
-
     // Extract all class-section combinations the teacher is assigned to
-    const teacherClasses = teacher.assignedClasses.map(cls => ({
+    const teacherClasses = activeAssignments(req.currentUser).map(cls => ({
       class: cls.class,
       section: cls.section
     }));
 
-    if (teacherClasses.length === 0) {
-      return res.json({ message: 'No classes assigned to this teacher', students: [] });
+    const list = parseListQuery(req, STUDENT_LIST);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
     }
 
-    // Build query to find students in any of the teacher's assigned classes
-    const studentQuery = {
-      $or: teacherClasses.map(cls => ({
-        class: cls.class,
-        section: cls.section
-      }))
-    };
-
-    const students = await Student.find(studentQuery)
+    // Students in any of the teacher's assigned classes (empty when none are assigned)
+    const { data, pagination } = await findPage(Student, await studentScope(req.currentUser), list, q => q
       .select('-password -refreshTokens')
-      .populate('createdBy', 'firstName lastName email')
-      .sort({ class: 1, section: 1, roll: 1 });
+      .populate('createdBy', 'firstName lastName email'));
 
     res.json({ 
-      message: `${students.length} students found in your assigned classes`,
-      teacherClasses,
-      students 
+      message: teacherClasses.length === 0 && req.currentUser.role === 'teacher'
+        ? 'No classes assigned to this teacher'
+        : `${pagination.total} students found in your assigned classes`,
+      data,
+      pagination,
+      teacherClasses
     });
 
   } catch (err) {
@@ -387,34 +491,27 @@ router.get('/teacher/students', authenticateToken, requireRole(['teacher', 'supe
 router.get('/teacher/students/:class/:section', authenticateToken, requireRole(['teacher']), async (req, res) => {
   try {
     const { class: className, section } = req.params;
-    const teacher = await User.findById(req.user.id);
-
-    if (!teacher) {
-      return res.status(404).json({ message: 'Teacher not found' });
-    }
 
     // Check if teacher is assigned to this specific class and section
-    const isAssigned = teacher.assignedClasses.some(cls => 
-      cls.class === className && cls.section === section
-    );
-
-    if (!isAssigned) {
+    if (!isAssignedTo(req.currentUser, className, section)) {
       return res.status(403).json({ 
         message: 'You are not assigned to this class and section' 
       });
     }
 
-    const students = await Student.find({ 
-      class: className, 
-      section: section 
-    })
+    const list = parseListQuery(req, STUDENT_LIST);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const { data, pagination } = await findPage(Student, { class: className, section }, list, q => q
       .select('-password -refreshTokens')
-      .populate('createdBy', 'firstName lastName email')
-      .sort({ roll: 1 });
+      .populate('createdBy', 'firstName lastName email'));
 
     res.json({ 
-      message: `${students.length} students found in ${className}-${section}`,
-      students 
+      message: `${pagination.total} students found in ${className}-${section}`,
+      data,
+      pagination
     });
 
   } catch (err) {
@@ -458,29 +555,42 @@ router.post('/signin', async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
+    // Reject while the account or IP is delayed/locked
+    const attemptKeys = [loginThrottle.accountKey(email), loginThrottle.ipKey(req.ip)];
+    const retryAfter = await loginThrottle.getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed sign-in attempts. Please try again later.',
+        retryAfter
+      });
+    }
+
     // Find user (for teachers/admins)
     const user = await User.findOne({ email });
     if (!user) {
       // Check if it's a student trying to login
       const student = await Student.findOne({ userName: email });
       if (!student) {
-        return res.status(400).json({ message: 'Invalid email/username or password' });
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await registerFailedSignin(req, email, null);
+        return res.status(400).json({ message: INVALID_CREDENTIALS });
       }
 
       // Check student password
       const isMatch = await bcrypt.compare(password, student.password);
       if (!isMatch) {
-        return res.status(400).json({ message: 'Invalid email/username or password' });
+        await registerFailedSignin(req, email, student);
+        return res.status(400).json({ message: INVALID_CREDENTIALS });
       }
 
+      await loginThrottle.clearFailures(loginThrottle.accountKey(email));
+
       // Generate tokens for student
-      const { accessToken, refreshToken } = generateTokens(student._id);
+      const { accessToken, refreshToken } = generateTokens(student);
 
-      // Save refresh token to student (limit to 5 devices)
-      student.refreshTokens.push({ token: refreshToken });
-      if (student.refreshTokens.length > 5) {
-        student.refreshTokens = student.refreshTokens.slice(-5);
-      }
+      // Save hashed refresh token to student
+      addRefreshToken(student, refreshToken, req);
       await student.save();
 
       return res.status(200).json({ 
@@ -501,40 +611,24 @@ router.post('/signin', async (req, res) => {
     // Check password for teacher/admin
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+      await registerFailedSignin(req, email, user);
+      return res.status(400).json({ message: INVALID_CREDENTIALS });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // Save refresh token to user (limit to 5 devices)
-    user.refreshTokens.push({ token: refreshToken });
-    if (user.refreshTokens.length > 5) {
-      user.refreshTokens = user.refreshTokens.slice(-5);
+    // Accounts with 2FA (or required to enroll) get a short-lived challenge instead of tokens
+    const setupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user);
+    if (user.twoFactor?.enabled || setupRequired) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        setupRequired,
+        challengeToken: generateChallengeToken(user._id, setupRequired ? '2fa_setup' : '2fa'),
+        message: setupRequired
+          ? 'Two-factor authentication must be set up before signing in'
+          : 'Enter the code from your authenticator app'
+      });
     }
-    await user.save();
 
-    // Prepare user response data
-    const userResponse = {
-      id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role
-    };
-
-    // Add role-specific fields
-    if (user.role === 'admin') {
-      userResponse.adminCode = user.adminCode;
-    } else if (user.role === 'teacher') {
-      userResponse.assignedClasses = user.assignedClasses;
-    }
-
-    res.status(200).json({ 
-      accessToken,
-      refreshToken,
-      user: userResponse
-    });
+    await completeUserSignin(req, res, user);
 
   } catch (err) {
     console.error('Signin error:', err.message);
@@ -550,27 +644,43 @@ router.post('/refresh', async (req, res) => {
       return res.status(400).json({ message: 'Refresh token required' });
     }
 
-    // Check both User and Student collections
-    let user = await User.findOne({ 'refreshTokens.token': refreshToken });
-    let isStudent = false;
+    const tokenHash = hashToken(refreshToken);
 
-    if (!user) {
-      user = await Student.findOne({ 'refreshTokens.token': refreshToken });
-      isStudent = true;
-    }
+    // Check both User and Student collections
+    const { account: user } = await findByRefreshHash('token', tokenHash);
 
     if (!user) {
+      // A token that was already rotated is being replayed: revoke its whole family
+      const { account: reused, isStudent } = await findByRefreshHash('rotatedTokens', tokenHash);
+      if (reused) {
+        const session = reused.refreshTokens.find(t => t.rotatedTokens.includes(tokenHash));
+        console.warn(
+          `Refresh token reuse detected for ${isStudent ? 'student' : 'user'} ${reused._id} ` +
+          `(family ${session.family}, ip ${req.ip}). Revoking token family.`
+        );
+        reused.refreshTokens = reused.refreshTokens.filter(t => t.family !== session.family);
+        await reused.save();
+      }
       return res.status(403).json({ message: 'Invalid refresh token' });
     }
 
-    // Remove the used refresh token
-    user.refreshTokens = user.refreshTokens.filter(token => token.token !== refreshToken);
+    const session = user.refreshTokens.find(t => t.token === tokenHash);
 
-    // Generate new tokens
-    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
+    if (session.expiresAt < new Date()) {
+      user.refreshTokens = user.refreshTokens.filter(t => t.family !== session.family);
+      await user.save();
+      return res.status(403).json({ message: 'Refresh token expired' });
+    }
 
-    // Save new refresh token
-    user.refreshTokens.push({ token: newRefreshToken });
+    // Generate new tokens
+    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = generateTokens(user);
+
+    // Rotate within the same family, remembering the used token for reuse detection
+    session.rotatedTokens.push(session.token);
+    session.token = hashToken(newRefreshToken);
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+    session.lastUsedAt = new Date();
+    session.ip = req.ip || session.ip;
     await user.save();
 
     res.json({ accessToken: newAccessToken, refreshToken: newRefreshToken });
@@ -581,23 +691,42 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+const USER_EXPORT_COLUMNS = [
+  { header: 'First Name', value: u => u.firstName },
+  { header: 'Last Name', value: u => u.lastName },
+  { header: 'Email', value: u => u.email },
+  { header: 'Role', value: u => u.role },
+  { header: 'Assigned Classes', value: u => (u.assignedClasses || []).map(c => `${c.class}-${c.section}`).join('; ') },
+  { header: 'Created By', value: u => u.createdBy && `${u.createdBy.firstName} ${u.createdBy.lastName}` },
+  { header: 'Created At', value: u => u.createdAt },
+];
+
 // Get all users (super_admin sees all, others see only their created users)
+// ?page, ?limit, ?search (name/email), ?sort, ?format=csv|xlsx downloads the list instead of JSON
 router.get('/users', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
   try {
-    let users;
-    // Super admin sees all users
-    if (req.currentUser.role === 'super_admin') {
-      users = await User.find()
-        .select('-password -refreshTokens')
-        .populate('createdBy', 'firstName lastName email');
-    } else {
-      // Admins see only users they created
-      users = await User.find({ createdBy: req.user.id })
-        .select('-password -refreshTokens')
-        .populate('createdBy', 'firstName lastName email');
+    const format = exportFormat(req);
+    if (format === undefined) {
+      return res.status(400).json({ message: 'Unsupported format. Use csv or xlsx' });
     }
+    const list = parseListQuery(req, { ...USER_LIST, paginate: !format });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    // Super admin sees all users, admins see only users they created
+    const build = q => q
+      .select('-password -refreshTokens')
+      .populate('createdBy', 'firstName lastName email');
 
-    res.json({ message: `${users.length} users found`, users });
+    if (format) {
+      const rows = findCursor(User, userScope(req.currentUser), list, build);
+      return await sendExport(res, format, { filename: 'users', columns: USER_EXPORT_COLUMNS, rows });
+    }
+
+    const { data, pagination } = await findPage(User, userScope(req.currentUser), list, build);
+
+    res.json({ message: `${pagination.total} users found`, data, pagination });
   } catch (err) {
     console.error('Get users error:', err.message);
     res.status(500).json({ message: 'Server error' });
@@ -605,21 +734,30 @@ router.get('/users', authenticateToken, requireRole(['super_admin', 'admin']), a
 });
 
 // Get teachers by class and section (for admin/teacher access)
+// ?page, ?limit, ?search, ?sort, ?format=csv|xlsx to download, ?session=<id>|current for that session's assignments
 router.get('/teachers', authenticateToken, requireRole(['admin', 'super_admin', 'teacher']), async (req, res) => {
   try {
     const { class: className, section } = req.query;
+    const format = exportFormat(req);
+    if (format === undefined) {
+      return res.status(400).json({ message: 'Unsupported format. Use csv or xlsx' });
+    }
+    const list = parseListQuery(req, { ...USER_LIST, paginate: !format });
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
     let query = { role: 'teacher' };
 
     // Handle different user roles
     switch (req.currentUser.role) {
       case 'admin':
         // Regular admin: only see teachers they created
-        query.createdBy = req.user.id;
+        Object.assign(query, userScope(req.currentUser));
         break;
       
       case 'teacher':
         // Teacher: only see teachers in their assigned classes
-        const teacherClasses = req.currentUser.assignedClasses.map(cls => cls.class);
+        const teacherClasses = activeAssignments(req.currentUser).map(cls => cls.class);
         query.assignedClasses = {
           $elemMatch: {
             class: { $in: teacherClasses }
@@ -635,11 +773,17 @@ router.get('/teachers', authenticateToken, requireRole(['admin', 'super_admin',
         return res.status(403).json({ message: 'Unauthorized access' });
     }
 
-    // Apply class/section filters if provided
-    if (className || section) {
+    const { session: academicSession, status, message } = await sessionFromQuery(req);
+    if (status) {
+      return res.status(status).json({ message });
+    }
+
+    // Apply class/section/session filters if provided
+    if (className || section || academicSession) {
       const classFilter = {};
       if (className) classFilter.class = className;
       if (section) classFilter.section = section;
+      if (academicSession) classFilter.session = academicSession._id;
       
       // If there's already an assignedClasses filter, merge with it
       if (query.assignedClasses) {
@@ -654,30 +798,37 @@ router.get('/teachers', authenticateToken, requireRole(['admin', 'super_admin',
       }
     }
 
-    const teachers = await User.find(query)
+    const build = q => q
       .select('-password -refreshTokens')
-      .populate('createdBy', 'firstName lastName email')
-      .sort({ createdAt: -1 });
+      .populate('createdBy', 'firstName lastName email');
+
+    if (format) {
+      const rows = findCursor(User, query, list, build);
+      return await sendExport(res, format, { filename: 'teachers', columns: USER_EXPORT_COLUMNS, rows });
+    }
+
+    const { data, pagination } = await findPage(User, query, list, build);
 
     // Generate appropriate response message based on user role
     let responseMessage;
     switch (req.currentUser.role) {
       case 'admin':
-        responseMessage = `${teachers.length} teachers created by you`;
+        responseMessage = `${pagination.total} teachers created by you`;
         break;
       case 'teacher':
-        responseMessage = `${teachers.length} teachers in your assigned classes`;
+        responseMessage = `${pagination.total} teachers in your assigned classes`;
         break;
       case 'super_admin':
-        responseMessage = `${teachers.length} teachers in the system`;
+        responseMessage = `${pagination.total} teachers in the system`;
         break;
       default:
-        responseMessage = `${teachers.length} teachers found`;
+        responseMessage = `${pagination.total} teachers found`;
     }
 
     res.json({ 
       message: responseMessage, 
-      teachers,
+      data,
+      pagination,
       userRole: req.currentUser.role
     });
   } catch (err) {
@@ -715,22 +866,547 @@ router.post('/logout', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Refresh token required' });
     }
 
-    // Check both User and Student collections
-    let user = await User.findById(req.user.id);
+    // Signed-in User or Student, loaded by authenticateToken
+    const user = req.account;
+
+    const tokenHash = hashToken(refreshToken);
+    user.refreshTokens = user.refreshTokens.filter(token => token.token !== tokenHash);
+    await user.save();
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forgot password (teachers/admins) - emails a single-use reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = { message: 'If an account with that email exists, a reset link has been sent' };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
     if (!user) {
-      user = await Student.findById(req.user.id);
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL);
+    await user.save();
+
+    const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
+    await sendEmail(
+      user.email,
+      'Password reset request',
+      `<p>Hello ${user.firstName},</p>
+       <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+       <p><a href="${resetLink}">${resetLink}</a></p>
+       <p>This link expires in 1 hour and can be used only once. If you did not request a reset, you can ignore this email.</p>`
+    );
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error('Forgot password error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Class teacher or admin issues a reset code for a student (students have no email)
+router.post('/student/:id/reset-code', authenticateToken, requireRole(['teacher', 'admin', 'super_admin']), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // Teachers: only students in their assigned classes
+    // Admins: only students they manage
+    if (!(await can(req.currentUser, 'student:reset-password', student))) {
+      return res.status(403).json({ message: 'Not authorized to reset this student\'s password' });
+    }
+
+    const resetCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    student.passwordResetCode = hashToken(resetCode);
+    student.passwordResetExpires = new Date(Date.now() + RESET_CODE_TTL);
+    await student.save();
+
+    res.json({
+      message: 'Reset code issued. Give it to the student; it expires in 24 hours and can be used once.',
+      userName: student.userName,
+      resetCode,
+      expiresAt: student.passwordResetExpires
+    });
+  } catch (err) {
+    console.error('Issue reset code error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password
+// Teachers/admins: { token, password }
+// Students: { userName, code, password }
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, userName, code, password } = req.body;
+
+    if (!password || (!token && !(userName && code))) {
+      return res.status(400).json({ message: 'Reset token (or username and code) and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
 
+    let account;
+    if (token) {
+      account = await User.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      });
+    } else {
+      account = await Student.findOne({
+        userName,
+        passwordResetCode: hashToken(code.toUpperCase().trim()),
+        passwordResetExpires: { $gt: new Date() }
+      });
+    }
+
+    if (!account) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    account.password = await bcrypt.hash(password, salt);
+
+    // Single use: clear the token/code, and sign out every session
+    if (token) {
+      account.passwordResetToken = null;
+    } else {
+      account.passwordResetCode = null;
+    }
+    account.passwordResetExpires = null;
+    bumpTokenVersion(account);
+    await account.save();
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (err) {
+    console.error('Reset password error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find a User or Student the current admin is allowed to manage
+// Super admin: any account
+// Admin: users they created, and students created by them or their teachers
+const findManagedAccount = async (currentUser, id, isStudent) => {
+  const account = isStudent ? await Student.findById(id) : await User.findById(id);
+  if (!account) {
+    return { status: 404, message: isStudent ? 'Student not found' : 'User not found' };
+  }
+
+  if (!(await can(currentUser, isStudent ? 'student:manage' : 'user:manage', account))) {
+    return { status: 403, message: isStudent ? 'Not authorized to manage this student' : 'Not authorized to manage this user' };
+  }
+  return { account };
+};
+
+// List own active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const account = req.account;
+
+    res.json({ sessions: formatSessions(account) });
+  } catch (err) {
+    console.error('Get sessions error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out everywhere
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const account = req.account;
+
+    // Access tokens already issued stop working too
+    const count = account.refreshTokens.length;
+    bumpTokenVersion(account);
+    await account.save();
+
+    res.json({ message: `Signed out of ${count} session(s)` });
+  } catch (err) {
+    console.error('Revoke all sessions error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out a single own session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const account = req.account;
+
+    const session = account.refreshTokens.id(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.deleteOne();
+    await account.save();
+
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    console.error('Revoke session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: list sessions of a managed user or student
+router.get(['/user/:id/sessions', '/student/:id/sessions'], authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const isStudent = req.path.startsWith('/student/');
+    const { account, status, message } = await findManagedAccount(req.currentUser, req.params.id, isStudent);
+    if (!account) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({ sessions: formatSessions(account) });
+  } catch (err) {
+    console.error('Get managed sessions error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: sign a managed user or student out everywhere
+router.delete(['/user/:id/sessions', '/student/:id/sessions'], authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const isStudent = req.path.startsWith('/student/');
+    const { account, status, message } = await findManagedAccount(req.currentUser, req.params.id, isStudent);
+    if (!account) {
+      return res.status(status).json({ message });
+    }
+
+    // Access tokens already issued stop working too
+    const count = account.refreshTokens.length;
+    bumpTokenVersion(account);
+    await account.save();
+
+    res.json({ message: `Signed out of ${count} session(s)` });
+  } catch (err) {
+    console.error('Revoke managed sessions error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: sign out a single session of a managed user or student
+router.delete(['/user/:id/sessions/:sessionId', '/student/:id/sessions/:sessionId'], authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const isStudent = req.path.startsWith('/student/');
+    const { account, status, message } = await findManagedAccount(req.currentUser, req.params.id, isStudent);
+    if (!account) {
+      return res.status(status).json({ message });
+    }
+
+    const session = account.refreshTokens.id(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.deleteOne();
+    await account.save();
+
+    res.json({ message: 'Session signed out' });
+  } catch (err) {
+    console.error('Revoke managed session error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: clear failed sign-in attempts and unlock a managed user or student
+router.post(['/user/:id/unlock', '/student/:id/unlock'], authenticateToken, requireRole(['admin', 'super_admin']), async (req, res) => {
+  try {
+    const isStudent = req.path.startsWith('/student/');
+    const { account, status, message } = await findManagedAccount(req.currentUser, req.params.id, isStudent);
+    if (!account) {
+      return res.status(status).json({ message });
+    }
+
+    await loginThrottle.clearFailures(loginThrottle.accountKey(isStudent ? account.userName : account.email));
+
+    res.json({ message: 'Account unlocked' });
+  } catch (err) {
+    console.error('Unlock account error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign-in step 2: verify a TOTP or recovery code against the challenge token
+router.post('/signin/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code (or recovery code) are required' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    const retryAfter = await loginThrottle.getRetryAfter([loginThrottle.accountKey(user.email), loginThrottle.ipKey(req.ip)]);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed sign-in attempts. Please try again later.',
+        retryAfter
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await registerFailedSignin(req, user.email, user);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await completeUserSignin(req, res, user, recoveryCode
+      ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+      : {});
+  } catch (err) {
+    console.error('2FA signin error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign-in when 2FA is required but not yet set up: start enrollment with the challenge token
+router.post('/signin/2fa/setup', async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please sign in again.' });
     }
 
-    user.refreshTokens = user.refreshTokens.filter(token => token.token !== refreshToken);
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
     await user.save();
 
-    res.json({ message: 'Logged out successfully' });
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+    });
   } catch (err) {
-    console.error('Logout error:', err.message);
+    console.error('2FA signin setup error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign-in when 2FA is required but not yet set up: confirm enrollment and finish signing in
+router.post('/signin/2fa/enroll', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa_setup');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+
+    const retryAfter = await loginThrottle.getRetryAfter([loginThrottle.accountKey(user.email), loginThrottle.ipKey(req.ip)]);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed sign-in attempts. Please try again later.',
+        retryAfter
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      await registerFailedSignin(req, user.email, user);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+
+    await completeUserSignin(req, res, user, { recoveryCodes: codes });
+  } catch (err) {
+    console.error('2FA signin enroll error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret and otpauth URI (not active until verified)
+router.post('/2fa/setup', authenticateToken, requireRole(TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify the first code and enable 2FA; recovery codes are returned only once
+router.post('/2fa/verify', authenticateToken, requireRole(TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (err) {
+    console.error('2FA verify error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticateToken, requireRole(TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (err) {
+    console.error('2FA recovery codes error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable 2FA (requires password and a current code; not allowed while required by policy)
+router.post('/2fa/disable', authenticateToken, requireRole(TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Password and code (or recovery code) are required' });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = -1;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Super admin: security settings
+router.get('/settings/security', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const setting = await Setting.findOne({ key: 'requireAdminTwoFactor' });
+    res.json({ requireAdminTwoFactor: setting?.value === true });
+  } catch (err) {
+    console.error('Get security settings error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/settings/security', authenticateToken, requireRole(['super_admin']), async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ message: 'requireAdminTwoFactor must be a boolean' });
+    }
+
+    await Setting.findOneAndUpdate(
+      { key: 'requireAdminTwoFactor' },
+      { $set: { value: requireAdminTwoFactor, updatedBy: req.user.id, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({
+      message: requireAdminTwoFactor
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional for admins',
+      requireAdminTwoFactor
+    });
+  } catch (err) {
+    console.error('Update security settings error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
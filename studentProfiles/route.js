@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const { Student } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can } = require('../utils/policy');
+const { getStorage } = require('../utils/storage');
+const {
+  FINANCE_ROLES,
+  parseProfile,
+  formatProfile,
+  detectImageType,
+  createThumbnail,
+  removePhotoFiles,
+} = require('../utils/studentProfile');
+
+const ALL_ROLES = ['super_admin', 'admin', 'teacher', 'guardian', 'student'];
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const PHOTO_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const MAX_PHOTO_SIZE = '5mb';
+
+// Load a student and check the caller may perform the action on it
+const loadStudent = async (req, res, action, select) => {
+  const query = Student.findById(req.params.id);
+  if (select) query.select(select);
+  const student = await query;
+  if (!student) {
+    res.status(404).json({ message: 'Student not found' });
+    return null;
+  }
+  if (!(await can(req.currentUser, action, student))) {
+    res.status(403).json({ message: 'Not authorized to access this student' });
+    return null;
+  }
+  return student;
+};
+
+// Stream a stored photo file with private caching
+const sendPhoto = async (res, key, contentType) => {
+  const buffer = key ? await getStorage().read(key) : null;
+  if (!buffer) {
+    return res.status(404).json({ message: 'Photo not found' });
+  }
+  res.set('Content-Type', contentType);
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.send(buffer);
+};
+
+// ✅ Get a student's profile (financial notes are only included for admins)
+router.get('/student/:id/profile', authenticateToken, requireRole(ALL_ROLES), async (req, res) => {
+  try {
+    const select = FINANCE_ROLES.includes(req.currentUser.role) ? '+profile.financialNotes' : null;
+    const student = await loadStudent(req, res, 'student:read', select);
+    if (!student) return;
+
+    res.json({
+      student: {
+        id: student._id,
+        name: student.name,
+        userName: student.userName,
+        class: student.class,
+        section: student.section,
+        roll: student.roll,
+      },
+      profile: formatProfile(student, req.currentUser)
+    });
+  } catch (err) {
+    console.error('Get student profile error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Update a student's profile; only the fields sent are changed, null clears a field
+// Body: admissionNumber, profile { dateOfBirth, gender, bloodGroup, address, guardians[], financialNotes }
+router.put('/student/:id/profile', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const student = await loadStudent(req, res, 'student:manage', '+profile.financialNotes');
+    if (!student) return;
+
+    const parsed = parseProfile(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    if (parsed.admissionNumber) {
+      const existing = await Student.findOne({ admissionNumber: parsed.admissionNumber, _id: { $ne: student._id } })
+        .setOptions({ withDeleted: true });
+      if (existing) {
+        return res.status(400).json({ message: `Admission number ${parsed.admissionNumber} is already in use` });
+      }
+    }
+
+    if (parsed.admissionNumber !== undefined) {
+      student.admissionNumber = parsed.admissionNumber || undefined;
+    }
+    for (const [field, value] of Object.entries(parsed.profile)) {
+      student.set(`profile.${field}`, value);
+    }
+    await student.save();
+
+    res.json({ message: 'Profile updated successfully', profile: formatProfile(student, req.currentUser) });
+  } catch (err) {
+    console.error('Update student profile error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Upload or replace a student's photo (raw JPEG, PNG or WebP body, up to 5 MB)
+router.put(
+  '/student/:id/photo',
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  express.raw({ type: PHOTO_TYPES, limit: MAX_PHOTO_SIZE }),
+  async (req, res) => {
+    try {
+      const student = await loadStudent(req, res, 'student:manage');
+      if (!student) return;
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ message: `Send the image as the request body (${PHOTO_TYPES.join(', ')})` });
+      }
+
+      // Trust the file's contents, not the Content-Type header
+      const contentType = detectImageType(req.body);
+      if (!contentType) {
+        return res.status(400).json({ message: 'Photo must be a JPEG, PNG or WebP image' });
+      }
+
+      let thumbnail;
+      try {
+        thumbnail = await createThumbnail(req.body);
+      } catch (err) {
+        return res.status(400).json({ message: 'Photo could not be read as an image' });
+      }
+
+      const stamp = Date.now();
+      const key = `students/${student._id}/photo-${stamp}.${PHOTO_EXTENSIONS[contentType]}`;
+      const thumbnailKey = `students/${student._id}/thumbnail-${stamp}.jpg`;
+      const storage = getStorage();
+      await storage.save(key, req.body, contentType);
+      await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+
+      const previous = student.photo ? student.photo.toObject() : null;
+      student.photo = { key, thumbnailKey, contentType, uploadedAt: new Date() };
+      await student.save();
+      await removePhotoFiles(previous);
+
+      res.json({ message: 'Photo uploaded successfully', photo: { contentType, uploadedAt: student.photo.uploadedAt } });
+    } catch (err) {
+      console.error('Upload student photo error:', err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// ✅ Get a student's full-size photo
+router.get('/student/:id/photo', authenticateToken, requireRole(ALL_ROLES), async (req, res) => {
+  try {
+    const student = await loadStudent(req, res, 'student:read');
+    if (!student) return;
+
+    await sendPhoto(res, student.photo && student.photo.key, student.photo && student.photo.contentType);
+  } catch (err) {
+    console.error('Get student photo error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Get a student's 200x200 photo thumbnail
+router.get('/student/:id/photo/thumbnail', authenticateToken, requireRole(ALL_ROLES), async (req, res) => {
+  try {
+    const student = await loadStudent(req, res, 'student:read');
+    if (!student) return;
+
+    await sendPhoto(res, student.photo && student.photo.thumbnailKey, 'image/jpeg');
+  } catch (err) {
+    console.error('Get student thumbnail error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Remove a student's photo
+router.delete('/student/:id/photo', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const student = await loadStudent(req, res, 'student:manage');
+    if (!student) return;
+
+    if (!student.photo || !student.photo.key) {
+      return res.status(404).json({ message: 'Student has no photo' });
+    }
+
+    const previous = student.photo.toObject();
+    student.photo = { key: null, thumbnailKey: null, contentType: null, uploadedAt: null };
+    await student.save();
+    await removePhotoFiles(previous);
+
+    res.json({ message: 'Photo removed successfully' });
+  } catch (err) {
+    console.error('Delete student photo error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
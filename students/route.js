@@ -1,74 +1,160 @@
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const { User, Student, Result } = require("../model/schema");
 const bcrypt = require("bcryptjs");
-const subjectsConfig = require("../config/subjectsConfig");
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+const { gradeForGpa } = require("../config/gradeUtils");
+const { bumpTokenVersion } = require("../utils/tokenVersion");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { can, studentScope } = require("../utils/policy");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { exportFormat, sendExport } = require("../utils/exportFile");
+const { parseListQuery, withSearch, findPage, findCursor } = require("../utils/pagination");
+const { getCurrentSession, sessionFromQuery, writableSession } = require("../utils/academicSession");
+const { resolveSection, capacityError, nextRoll } = require("../utils/classes");
+const { sectionSubjects, subjectSnapshot } = require("../utils/subjects");
+const { parseProfile, removePhotoFiles } = require("../utils/studentProfile");
+const { notifyTransfer } = require("../utils/notifications");
+const { runInTransaction } = require("../utils/transaction");
+
+const STUDENT_LIST = {
+  sortFields: ["name", "userName", "roll", "class", "section", "createdAt"],
+  defaultSort: { class: 1, section: 1, roll: 1, _id: 1 },
+  searchFields: ["name", "userName"],
+};
 
-  if (!token) {
-    console.error("No token provided in Authorization header");
-    return res.status(401).json({ message: "Access token required" });
-  }
+const ARCHIVED_STUDENT_LIST = {
+  sortFields: [...STUDENT_LIST.sortFields, "deletedAt"],
+  defaultSort: { deletedAt: -1, _id: 1 },
+  searchFields: STUDENT_LIST.searchFields,
+};
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("Token verification failed:", err.message);
-      return res.status(403).json({ message: "Invalid or expired token" });
-    }
-    req.user = user;
-    next();
-  });
+const RESULT_LIST = {
+  sortFields: ["class", "semester", "examType", "totalMarks", "averageGPA", "createdAt"],
+  defaultSort: { class: 1, semester: 1, createdAt: -1, _id: 1 },
+  // ?search matches the student's name or username
+  searchFields: ["name", "userName"],
 };
 
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        console.error(`User not found for ID: ${req.user.id}`);
-        return res.status(404).json({ message: "User not found" });
-      }
+const HISTORY_OUTCOMES = ["transferred", "promoted", "retained", "graduated"];
 
-      if (!allowedRoles.includes(user.role)) {
-        console.error(`Insufficient permissions for user: ${user.email}, role: ${user.role}`);
-        return res.status(403).json({ message: "Insufficient permissions" });
-      }
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_COLUMNS = ["name", "userName", "password", "roll", "class", "section"];
 
-      req.currentUser = user; // Add user object to request
-      next();
-    } catch (err) {
-      console.error("Role check error:", err.message);
-      res.status(500).json({ message: "Server error" });
-    }
-  };
+// Field checks shared by single create and bulk import (single create may leave roll out)
+const validateStudentFields = ({ name, userName, password, roll, class: className, section }, { rollRequired = true } = {}) => {
+  if (!name || !userName || !password || (rollRequired && !roll) || !className || !section) {
+    return "All fields are required";
+  }
+  if (password.length < 6) {
+    return "Password must be at least 6 characters";
+  }
+  return null;
 };
 
+// Readable random password for imported students (8 characters)
+const generatePassword = () => crypto.randomBytes(6).toString("base64url");
+
+const STUDENT_EXPORT_COLUMNS = [
+  { header: "Name", value: s => s.name },
+  { header: "Username", value: s => s.userName },
+  { header: "Class", value: s => s.class },
+  { header: "Section", value: s => s.section },
+  { header: "Roll", value: s => s.roll },
+  { header: "Created By", value: s => s.createdBy && `${s.createdBy.firstName} ${s.createdBy.lastName}` },
+  { header: "Created At", value: s => s.createdAt },
+];
+
+// One column per subject found in the exported results, then totals
+const resultExportColumns = (subjects) => [
+  { header: "Name", value: r => r.student?.name },
+  { header: "Class", value: r => r.class },
+  { header: "Section", value: r => r.student?.section },
+  { header: "Roll", value: r => r.student?.roll },
+  { header: "Session", value: r => r.session?.name },
+  { header: "Semester", value: r => r.semester },
+  { header: "Exam Type", value: r => r.examType },
+  ...subjects.map(subject => ({
+    header: subject,
+    value: r => r.marks.find(m => m.subject === subject)?.totalScore,
+  })),
+  { header: "Total Marks", value: r => r.totalMarks },
+  { header: "Status", value: r => r.status },
+  { header: "Failed Subjects", value: r => (r.failedSubjects || []).join(", ") },
+  { header: "GPA (without optional)", value: r => r.gpaWithoutOptional },
+  { header: "GPA", value: r => r.averageGPA },
+  // Overall grade under the scale the result was graded with
+  { header: "Grade", value: r => gradeForGpa(r.averageGPA, r.grading?.bands?.length ? r.grading.bands : undefined) },
+];
+
 // Create student
+// roll is optional: without one the student gets the next free roll in the section
 router.post(
   "/student/create",
   authenticateToken,
-  requireRole(["super_admin", "admin", "teacher"]),
+  requireRole(["super_admin", "admin"]),
   async (req, res) => {
-    const { name, userName, password, roll, class: className, section } = req.body;
+    const { name, userName, password } = req.body;
+    let { roll } = req.body;
 
-    if (!name || !userName || !password || !roll || !className) {
-      return res.status(400).json({ message: "All fields are required" });
-    } else if (password.length < 6) {
-      return res.status(400).json({ message: "Password must be at least 6 characters" });
+    const fieldError = validateStudentFields(req.body, { rollRequired: false });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+    const autoRoll = roll === undefined || roll === null || roll === "";
+    if (!autoRoll && (!Number.isInteger(Number(roll)) || Number(roll) <= 0)) {
+      return res.status(400).json({ message: "Roll must be a positive whole number" });
+    }
+
+    // Optional admission number and profile details
+    const details = parseProfile(req.body);
+    if (details.error) {
+      return res.status(400).json({ message: details.error });
     }
 
     try {
-      let student = await Student.findOne({ userName });
+      // Class and section must exist; stored under their canonical names
+      const placement = await resolveSection(req.body.class, req.body.section);
+      if (!placement.section) {
+        return res.status(placement.status).json({ message: placement.message });
+      }
+      const { className, sectionName: section } = placement;
+      const fullError = await capacityError(placement.section, className);
+      if (fullError) {
+        return res.status(400).json({ message: fullError });
+      }
+
+      // Archived students keep their username until purged
+      let student = await Student.findOne({ userName }).setOptions({ withDeleted: true });
       if (student) {
         console.error(`Student with userName ${userName} already exists`);
         return res.status(400).json({ message: `Student ${userName} already exists` });
       }
 
+      // Check for duplicate roll number in same class + section
+      if (!autoRoll) {
+        const existingRoll = await Student.findOne({ class: className, section, roll });
+        if (existingRoll) {
+          return res.status(400).json({
+            message: `Roll ${roll} already exists in Class ${className} (${section})`,
+          });
+        }
+      }
+
+      if (details.admissionNumber) {
+        const existingAdmission = await Student.findOne({ admissionNumber: details.admissionNumber })
+          .setOptions({ withDeleted: true });
+        if (existingAdmission) {
+          return res.status(400).json({ message: `Admission number ${details.admissionNumber} is already in use` });
+        }
+      }
+
+      // Reserved last, once every other check has passed
+      if (autoRoll) {
+        roll = await nextRoll(placement.section, className);
+      }
+
+      const currentSession = await getCurrentSession();
       student = new Student({
         name,
         userName,
@@ -76,6 +162,9 @@ router.post(
         roll,
         class: className,
         section,
+        session: currentSession ? currentSession._id : null,
+        admissionNumber: details.admissionNumber || undefined,
+        profile: details.profile,
         createdBy: req.currentUser._id,
       });
 
@@ -84,7 +173,6 @@ router.post(
       student.password = await bcrypt.hash(password, salt);
 
       await student.save();
-      console.log(`Student created: ${userName} by user ${req.currentUser.email}`);
       res.status(201).json({
         message: "Student created successfully",
         student: {
@@ -94,6 +182,7 @@ router.post(
           roll: student.roll,
           class: student.class,
           section: student.section,
+          admissionNumber: student.admissionNumber || null,
           createdBy: {
             id: req.currentUser._id,
             firstName: req.currentUser.firstName,
@@ -114,133 +203,271 @@ router.post(
   }
 );
 
-router.get(
-  "/student",
+// Bulk import students from CSV
+// Columns: name, userName, password (blank = auto-generate), roll (blank or left out = next
+// free roll in the section), class, section
+// Body: raw CSV (Content-Type: text/csv) or JSON { csv }
+// ?dryRun=true validates only; otherwise all rows are created in one transaction or none are
+router.post(
+  "/student/import",
   authenticateToken,
-  requireRole(["super_admin", "admin", "teacher"]),
+  requireRole(["super_admin", "admin"]),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
   async (req, res) => {
     try {
-      const { class: className, section } = req.query;
-      let students;
-      let query = {};
-
-      if (req.currentUser.role === "super_admin") {
-        // Super admin: see ALL students with optional filtering
-        if (className && section) {
-          query = { class: className, section: section };
-        } else if (className) {
-          query = { class: className };
-        } else if (section) {
-          query = { section: section };
-        }
+      const csvText = typeof req.body === "string" ? req.body : req.body?.csv;
+      const dryRun = req.query.dryRun === "true";
 
-        students = await Student.find(query)
-          .select("-password -refreshTokens")
-          .populate("createdBy", "firstName lastName email role")
-          .sort({ class: 1, section: 1, roll: 1 });
+      if (!csvText) {
+        return res.status(400).json({ message: "CSV content is required" });
+      }
 
-      } else if (req.currentUser.role === "admin") {
-        // Admin: see students created by them or their teachers
-        const teachers = await User.find({ 
-          createdBy: req.currentUser._id,
-          role: 'teacher'
-        }).select("_id");
-        
-        const teacherIds = teachers.map(t => t._id);
-
-        // Base query for admin's access
-        query = {
-          createdBy: { $in: [req.currentUser._id, ...teacherIds] }
+      const [header, ...dataRows] = parseCsv(csvText);
+      if (!header) {
+        return res.status(400).json({ message: "CSV file is empty" });
+      }
+
+      // Map columns by header name (case-insensitive)
+      const columnIndex = {};
+      header.forEach((title, index) => {
+        const column = IMPORT_COLUMNS.find(c => c.toLowerCase() === title.trim().toLowerCase());
+        if (column) columnIndex[column] = index;
+      });
+      const missingColumns = IMPORT_COLUMNS.filter(c => !["password", "roll"].includes(c) && columnIndex[c] === undefined);
+      if (missingColumns.length > 0) {
+        return res.status(400).json({ message: `Missing columns: ${missingColumns.join(", ")}` });
+      }
+      if (dataRows.length === 0) {
+        return res.status(400).json({ message: "CSV file has no student rows" });
+      }
+      if (dataRows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `A single import is limited to ${MAX_IMPORT_ROWS} rows` });
+      }
+
+      const rows = dataRows.map((values, index) => {
+        const get = (column) => (columnIndex[column] === undefined ? "" : (values[columnIndex[column]] || "").trim());
+        const password = get("password");
+        return {
+          row: index + 2, // line number in the file (header is line 1)
+          name: get("name"),
+          userName: get("userName"),
+          password: password || generatePassword(),
+          passwordGenerated: !password,
+          roll: get("roll"),
+          class: get("class"),
+          section: get("section"),
+          errors: [],
         };
+      });
 
-        // Add class/section filters if provided
-        if (className) query.class = className;
-        if (section) query.section = section;
+      // Class/section must exist; rows are stored under the canonical names.
+      // Places left per section are counted down as rows are assigned.
+      const placements = new Map();
+      const placesLeft = new Map();
+      for (const row of rows) {
+        const rawKey = `${row.class}|${row.section}`;
+        if (!placements.has(rawKey)) placements.set(rawKey, await resolveSection(row.class, row.section));
+        const placement = placements.get(rawKey);
+        if (!placement.section) {
+          if (row.class && row.section) row.errors.push(placement.message);
+          continue;
+        }
 
-        students = await Student.find(query)
-          .select("-password -refreshTokens")
-          .populate("createdBy", "firstName lastName email role")
-          .sort({ class: 1, section: 1, roll: 1 });
+        row.class = placement.className;
+        row.section = placement.sectionName;
+        row.sectionDoc = placement.section;
+        if (!placement.section.capacity) continue;
 
-      } else {
-        // Teacher: see students in their assigned classes
-        const teacher = await User.findById(req.currentUser._id);
-        if (!teacher) {
-          return res.status(404).json({ message: "Teacher not found" });
+        const key = `${row.class}|${row.section}`;
+        if (!placesLeft.has(key)) {
+          const enrolled = await Student.countDocuments({ class: row.class, section: row.section, graduatedAt: null });
+          placesLeft.set(key, placement.section.capacity - enrolled);
+        }
+        if (placesLeft.get(key) <= 0) {
+          row.errors.push(`Class ${row.class} (${row.section}) is full (capacity ${placement.section.capacity})`);
         }
+        placesLeft.set(key, placesLeft.get(key) - 1);
+      }
 
-        const assignedClasses = teacher.assignedClasses || [];
-        
-        if (assignedClasses.length === 0) {
-          students = [];
-        } else {
-          // Build class queries for teacher's assigned classes
-          const classQueries = assignedClasses.map(cls => ({
-            class: cls.class,
-            section: cls.section
-          }));
-
-          query = { $or: classQueries };
-
-          // If specific class/section is requested, filter within assigned classes
-          if (className && section) {
-            // Check if the requested class is in teacher's assigned classes
-            const isClassAssigned = assignedClasses.some(cls => 
-              cls.class === className && cls.section === section
-            );
-            
-            if (isClassAssigned) {
-              query = { class: className, section: section };
-            } else {
-              // Teacher not assigned to this class-section combination
-              students = [];
-            }
-          } else if (className) {
-            // Filter by class within assigned classes
-            const isClassAssigned = assignedClasses.some(cls => cls.class === className);
-            if (isClassAssigned) {
-              query = { 
-                $or: assignedClasses
-                  .filter(cls => cls.class === className)
-                  .map(cls => ({ class: cls.class, section: cls.section }))
-              };
-            } else {
-              students = [];
-            }
-          } else if (section) {
-            // Filter by section within assigned classes
-            const isSectionAssigned = assignedClasses.some(cls => cls.section === section);
-            if (isSectionAssigned) {
-              query = { 
-                $or: assignedClasses
-                  .filter(cls => cls.section === section)
-                  .map(cls => ({ class: cls.class, section: cls.section }))
-              };
-            } else {
-              students = [];
-            }
-          }
+      // Existing usernames and rolls (archived and graduated students keep theirs), fetched in two queries
+      const existingUsers = await Student.find({ userName: { $in: rows.map(r => r.userName) } })
+        .setOptions({ withDeleted: true })
+        .select("userName");
+      const takenUserNames = new Set(existingUsers.map(s => s.userName));
+      const existingRolls = await Student.find({
+        $or: rows.map(r => ({ class: r.class, section: r.section })),
+      }).setOptions({ withDeleted: true }).select("class section roll");
+      const takenRolls = new Set(existingRolls.map(s => `${s.class}|${s.section}|${s.roll}`));
+
+      const seenUserNames = new Set();
+      const seenRolls = new Set();
+
+      for (const row of rows) {
+        const fieldError = validateStudentFields(row, { rollRequired: false });
+        if (fieldError) row.errors.push(fieldError);
+
+        const roll = Number(row.roll);
+        if (row.roll && (!Number.isInteger(roll) || roll <= 0)) {
+          row.errors.push("Roll must be a positive whole number");
+        }
 
-          if (!Array.isArray(students) || students.length !== 0) { // Only query if students is not already set to empty array
-            students = await Student.find(query)
-              .select("-password -refreshTokens")
-              .populate("createdBy", "firstName lastName email role")
-              .sort({ class: 1, section: 1, roll: 1 });
+        if (takenUserNames.has(row.userName)) {
+          row.errors.push(`Student ${row.userName} already exists`);
+        } else if (row.userName && seenUserNames.has(row.userName)) {
+          row.errors.push(`Username ${row.userName} appears more than once in the file`);
+        }
+        seenUserNames.add(row.userName);
+
+        if (row.roll) {
+          const rollKey = `${row.class}|${row.section}|${roll}`;
+          if (takenRolls.has(rollKey)) {
+            row.errors.push(`Roll ${row.roll} already exists in Class ${row.class} (${row.section})`);
+          } else if (seenRolls.has(rollKey)) {
+            row.errors.push(`Roll ${row.roll} appears more than once for Class ${row.class} (${row.section}) in the file`);
           }
+          seenRolls.add(rollKey);
         }
       }
 
+      const invalidRows = rows.filter(r => r.errors.length > 0);
+      // roll is null for rows numbered automatically on import
+      const formatReport = () => rows.map(r => ({
+        row: r.row,
+        userName: r.userName,
+        roll: r.roll ? Number(r.roll) : null,
+        status: r.errors.length > 0 ? "error" : "ok",
+        errors: r.errors,
+      }));
+      const summary = { total: rows.length, valid: rows.length - invalidRows.length, invalid: invalidRows.length };
+
+      if (dryRun || invalidRows.length > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+          message: dryRun
+            ? `Dry run: ${summary.valid} of ${summary.total} rows are valid`
+            : `Import rejected: ${summary.invalid} row(s) have errors. No students were created.`,
+          dryRun,
+          summary,
+          rows: formatReport(),
+        });
+      }
+
+      // Rows without a roll take the next free one, after any roll given in the file
+      const fileRolls = new Map();
+      for (const row of rows) {
+        const key = `${row.class}|${row.section}`;
+        fileRolls.set(key, Math.max(fileRolls.get(key) || 0, Number(row.roll) || 0));
+      }
+      for (const row of rows.filter(r => !r.roll)) {
+        row.roll = await nextRoll(row.sectionDoc, row.class, fileRolls.get(`${row.class}|${row.section}`));
+      }
+
+      // Commit: all rows or none
+      const currentSession = await getCurrentSession();
+      const docs = [];
+      for (const row of rows) {
+        const salt = await bcrypt.genSalt(10);
+        docs.push({
+          name: row.name,
+          userName: row.userName,
+          password: await bcrypt.hash(row.password, salt),
+          roll: Number(row.roll),
+          class: row.class,
+          section: row.section,
+          session: currentSession ? currentSession._id : null,
+          createdBy: req.currentUser._id,
+        });
+      }
+
+      await runInTransaction(async (session) => {
+        await Student.insertMany(docs, { session });
+      });
+
+      // Auto-generated passwords are only ever returned here
+      const generated = rows.filter(r => r.passwordGenerated);
+      const credentialSheet = generated.length > 0
+        ? {
+          filename: `student-credentials-${new Date().toISOString().slice(0, 10)}.csv`,
+          contentType: "text/csv",
+          content: toCsv([
+            ["name", "userName", "password", "class", "section", "roll"],
+            ...generated.map(r => [r.name, r.userName, r.password, r.class, r.section, r.roll]),
+          ]),
+        }
+        : null;
+
+      res.status(201).json({
+        message: `${rows.length} students imported successfully`,
+        dryRun,
+        summary,
+        rows: formatReport(),
+        credentialSheet,
+      });
+    } catch (err) {
+      console.error("Import students error:", err.message);
+      if (err.code === 11000) {
+        return res.status(400).json({ message: "Username or roll number already exists. No students were created." });
+      }
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List students in the caller's scope
+// ?page, ?limit, ?search (name/userName), ?sort (e.g. -roll), ?format=csv|xlsx to download,
+// ?session=<id>|current for students enrolled in that academic session
+router.get(
+  "/student",
+  authenticateToken,
+  requireRole(["super_admin", "admin", "teacher"]),
+  async (req, res) => {
+    try {
+      const { class: className, section } = req.query;
+      const format = exportFormat(req);
+      if (format === undefined) {
+        return res.status(400).json({ message: "Unsupported format. Use csv or xlsx" });
+      }
+      const list = parseListQuery(req, { ...STUDENT_LIST, paginate: !format });
+      if (list.error) {
+        return res.status(400).json({ message: list.error });
+      }
+      const { session: academicSession, status, message: sessionError } = await sessionFromQuery(req);
+      if (status) {
+        return res.status(status).json({ message: sessionError });
+      }
+
+      // Super admin: all students; admin: students created by them or their teachers;
+      // teacher: students in their assigned classes
+      let query = await studentScope(req.currentUser);
+      if (className) query.class = className;
+      if (section) query.section = section;
+      if (academicSession) {
+        // Enrolled in the session now, or in a class they have since left
+        query = { $and: [query, { $or: [{ session: academicSession._id }, { "classHistory.session": academicSession._id }] }] };
+      }
+
+      const build = q => q
+        .select("-password -refreshTokens")
+        .populate("createdBy", "firstName lastName email role");
+
+      if (format) {
+        const rows = findCursor(Student, query, list, build);
+        return await sendExport(res, format, { filename: "students", columns: STUDENT_EXPORT_COLUMNS, rows });
+      }
+
+      const { data, pagination } = await findPage(Student, query, list, build);
+
       // Generate appropriate response message
-      let message = `${students.length} students found`;
+      let message = `${pagination.total} students found`;
       if (req.currentUser.role === 'teacher') {
-        message = `${students.length} students in your assigned classes`;
+        message = `${pagination.total} students in your assigned classes`;
       } else if (req.currentUser.role === 'admin') {
-        message = `${students.length} students under your management`;
+        message = `${pagination.total} students under your management`;
       }
 
       res.json({ 
         message, 
-        students,
+        data,
+        pagination,
         userRole: req.currentUser.role,
         ...(req.currentUser.role === 'teacher' && {
           assignedClasses: req.currentUser.assignedClasses
@@ -253,50 +480,135 @@ router.get(
   }
 );
 
-
 // POST /api/result/create
 router.post("/result", authenticateToken, requireRole(["admin", "teacher"]), async (req, res) => {
-  const { studentId, classNumber, semester, scores } = req.body;
-
-  // Ensure subjects match the class
-  const subjects = subjectsConfig[classNumber];
-  if (!subjects) return res.status(400).json({ message: "Invalid class number" });
-
-  // Build marks array
-  const marks = subjects.map(sub => ({
-    subject: sub,
-    score: scores[sub] || 0 // dynamic marks input
-  }));
-
-  const result = new Result({
-    student: studentId,
-    class: classNumber,
-    semester,
-    marks
-  });
-
-  await result.save();
-  res.status(201).json({ message: "Result created successfully", result });
+  try {
+    const { studentId, classNumber, semester, scores } = req.body;
+    if (!scores || typeof scores !== "object" || Array.isArray(scores)) {
+      return res.status(400).json({ message: "scores must map subject names to their marks" });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) return res.status(404).json({ message: "Student not found" });
+    if (!(await can(req.currentUser, "result:write", student))) {
+      return res.status(403).json({ message: "Not authorized to submit results for this student" });
+    }
+
+    // Ensure subjects match the student's class + section
+    const placement = await resolveSection(classNumber, student.section);
+    if (!placement.section) return res.status(placement.status).json({ message: placement.message });
+    const subjects = await sectionSubjects(placement.section, placement.className);
+    if (subjects.length === 0) {
+      return res.status(400).json({ message: `No subjects are set up for Class ${placement.className}` });
+    }
+
+    const { session: academicSession, status, message } = await writableSession(req.body.session);
+    if (status) return res.status(status).json({ message });
+
+    // One result per student, session, semester and exam type; corrections go through PATCH /results/:id
+    const submitted = await Result.findOne({
+      student: studentId,
+      session: academicSession ? academicSession._id : null,
+      semester,
+      examType: "combined",
+    });
+    if (submitted) {
+      return res.status(409).json({ message: "This result already exists; amend it instead", resultId: submitted._id });
+    }
+
+    // Build marks array as for /submit/combined (totals default to the subject's MCQ/CQ split)
+    const marks = subjects.map((sub) => {
+      const subjectMarks = scores[sub.name] || {};
+      return {
+        subject: sub.name,
+        mcqScore: subjectMarks.mcqScore || 0,
+        mcqTotal: subjectMarks.mcqTotal ?? sub.mcqMarks,
+        cqScore: subjectMarks.cqScore || 0,
+        cqTotal: subjectMarks.cqTotal ?? sub.cqMarks,
+        definition: subjectSnapshot(sub)
+      };
+    });
+
+    const result = new Result({
+      student: studentId,
+      class: placement.className,
+      semester,
+      session: academicSession ? academicSession._id : null,
+      examType: "combined",
+      marks
+    });
+
+    await result.save();
+    res.status(201).json({ message: "Result created successfully", result });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "This result has already been submitted" });
+    }
+    console.error("Create result error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
 // Add these to your existing student routes
 
-// Get single student
+// List archived students in the caller's scope (?page, ?limit, ?search, ?sort)
+router.get(
+  "/student/archived",
+  authenticateToken,
+  requireRole(["super_admin", "admin"]),
+  async (req, res) => {
+    try {
+      const list = parseListQuery(req, ARCHIVED_STUDENT_LIST);
+      if (list.error) {
+        return res.status(400).json({ message: list.error });
+      }
+
+      const query = { ...(await studentScope(req.currentUser)), deletedAt: { $ne: null } };
+      const { data, pagination } = await findPage(Student, query, list, q => q
+        .select("-password -refreshTokens")
+        .populate("createdBy", "firstName lastName email role")
+        .populate("deletedBy", "firstName lastName email role"));
+
+      res.json({ message: `${pagination.total} archived students found`, data, pagination });
+    } catch (err) {
+      console.error("Get archived students error:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get single student with their class history, newest first
+// ?history=transferred|promoted|retained|graduated limits the history to one kind of change
 router.get(
   "/student/:id",
   authenticateToken,
   requireRole(["super_admin", "admin", "teacher"]),
   async (req, res) => {
     try {
+      const { history: historyFilter } = req.query;
+      if (historyFilter && !HISTORY_OUTCOMES.includes(historyFilter)) {
+        return res.status(400).json({ message: `history must be one of: ${HISTORY_OUTCOMES.join(", ")}` });
+      }
+
       const student = await Student.findById(req.params.id)
         .select("-password -refreshTokens")
-        .populate("createdBy", "firstName lastName email role");
+        .populate("createdBy", "firstName lastName email role")
+        .populate("classHistory.changedBy", "firstName lastName email role")
+        .populate("classHistory.session", "name");
 
       if (!student) {
         return res.status(404).json({ message: "Student not found" });
       }
 
-      res.json({ student });
+      if (!(await can(req.currentUser, "student:read", student))) {
+        return res.status(403).json({ message: "Not authorized to view this student" });
+      }
+
+      const history = student.classHistory
+        .filter(entry => !historyFilter || entry.outcome === historyFilter)
+        .sort((a, b) => b.changedAt - a.changedAt);
+
+      res.json({ student, history });
     } catch (err) {
       console.error("Get student error:", err.message);
       res.status(500).json({ message: "Server error" });
@@ -305,38 +617,82 @@ router.get(
 );
 
 // Update student
+// Admins: any field except class/section (see transfer); teachers (assigned class): name or roll;
+// students (self): name or password
 router.put(
   "/student/:id",
   authenticateToken,
-  requireRole(["super_admin", "admin", "teacher"]),
+  requireRole(["super_admin", "admin", "teacher", "student"]),
   async (req, res) => {
-    const { name, userName, password, roll, class: className, section } = req.body;
-
     try {
-      const student = await Student.findById(req.params.id);
+      const { id } = req.params;
+      const { name, userName, password, roll, class: studentClass, section } = req.body;
+      const role = req.currentUser.role;
+
+      const student = await Student.findById(id);
       if (!student) {
         return res.status(404).json({ message: "Student not found" });
       }
 
+      if (!(await can(req.currentUser, "student:update", student))) {
+        return res.status(403).json({ message: "Not authorized to update this student" });
+      }
+
+      if (role === "teacher" && (userName || studentClass || section)) {
+        return res.status(403).json({ message: "Teachers can only update name or roll" });
+      }
+      if (role === "student" && (roll || studentClass || section || userName)) {
+        return res.status(403).json({ message: "Students can only update name or password" });
+      }
+
+      // Validate input
+      if (userName && userName !== student.userName) {
+        const existingStudent = await Student.findOne({ userName }).setOptions({ withDeleted: true });
+        if (existingStudent && existingStudent._id.toString() !== id) {
+          return res.status(400).json({ message: "Username already in use" });
+        }
+        student.userName = userName;
+      }
+
+      // Moves between sections go through POST /student/:id/transfer so they are recorded
+      if (studentClass || section) {
+        const placement = await resolveSection(studentClass || student.class, section || student.section);
+        if (!placement.section) {
+          return res.status(placement.status).json({ message: placement.message });
+        }
+        if (placement.className !== student.class || placement.sectionName !== student.section) {
+          return res.status(400).json({ message: "Use POST /student/:id/transfer to move a student to another class or section" });
+        }
+      }
+
+      if (roll) {
+        const existingStudent = await Student.findOne({
+          roll,
+          class: student.class,
+          section: student.section,
+          _id: { $ne: id }
+        });
+        if (existingStudent) {
+          return res.status(400).json({ message: "Roll number already exists in this class and section" });
+        }
+      }
+
+      if (password && password.length < 6) {
+        return res.status(400).json({ message: "Password must be at least 6 characters" });
+      }
+
       // Update fields
       if (name) student.name = name;
-      if (userName) student.userName = userName;
-      if (roll) student.roll = roll;
-      if (className) student.class = className;
-      if (section !== undefined) student.section = section;
-
-      // Update password if provided
       if (password) {
-        if (password.length < 6) {
-          return res.status(400).json({ message: "Password must be at least 6 characters" });
-        }
         const salt = await bcrypt.genSalt(10);
         student.password = await bcrypt.hash(password, salt);
+        bumpTokenVersion(student);
       }
+      if (roll && role !== "student") student.roll = roll;
 
       await student.save();
 
-      const updatedStudent = await Student.findById(req.params.id)
+      const updatedStudent = await Student.findById(id)
         .select("-password -refreshTokens")
         .populate("createdBy", "firstName lastName email role");
 
@@ -347,14 +703,125 @@ router.put(
     } catch (err) {
       console.error("Update student error:", err.message);
       if (err.code === 11000) {
-        return res.status(400).json({ message: "Username already exists" });
+        return res.status(400).json({ message: "Username or roll number already exists" });
       }
       res.status(500).json({ message: "Server error" });
     }
   }
 );
 
-// Delete student
+// Transfer a student to another section (and optionally class), keeping a history entry
+// Body: section, class (default: current class), roll (default: next free roll), reason
+router.post(
+  "/student/:id/transfer",
+  authenticateToken,
+  requireRole(["super_admin", "admin"]),
+  async (req, res) => {
+    try {
+      const { section, reason } = req.body;
+      let { roll } = req.body;
+
+      const student = await Student.findById(req.params.id);
+      if (!student) {
+        return res.status(404).json({ message: "Student not found" });
+      }
+      if (!(await can(req.currentUser, "student:manage", student))) {
+        return res.status(403).json({ message: "Not authorized to transfer this student" });
+      }
+      if (student.graduatedAt) {
+        return res.status(400).json({ message: "Graduated students cannot be transferred" });
+      }
+
+      if (!section) {
+        return res.status(400).json({ message: "Target section is required" });
+      }
+      if (reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 500)) {
+        return res.status(400).json({ message: "Reason must be text of at most 500 characters" });
+      }
+      const autoRoll = roll === undefined || roll === null || roll === "";
+      if (!autoRoll && (!Number.isInteger(Number(roll)) || Number(roll) <= 0)) {
+        return res.status(400).json({ message: "Roll must be a positive whole number" });
+      }
+
+      const target = await resolveSection(req.body.class || student.class, section);
+      if (!target.section) {
+        return res.status(target.status).json({ message: target.message });
+      }
+      if (target.className === student.class && target.sectionName === student.section) {
+        return res.status(400).json({ message: `Student is already in Class ${student.class} (${student.section})` });
+      }
+
+      const fullError = await capacityError(target.section, target.className);
+      if (fullError) {
+        return res.status(400).json({ message: fullError });
+      }
+
+      if (autoRoll) {
+        roll = await nextRoll(target.section, target.className);
+      } else {
+        roll = Number(roll);
+        const existingRoll = await Student.findOne({ class: target.className, section: target.sectionName, roll });
+        if (existingRoll) {
+          return res.status(400).json({
+            message: `Roll ${roll} already exists in Class ${target.className} (${target.sectionName})`,
+          });
+        }
+      }
+
+      const from = { className: student.class, section: student.section, roll: student.roll };
+      const to = { className: target.className, section: target.sectionName, roll };
+      const fromPlacement = await resolveSection(from.className, from.section);
+
+      student.classHistory.push({
+        class: from.className,
+        section: from.section,
+        roll: from.roll,
+        outcome: "transferred",
+        session: student.session,
+        toClass: to.className,
+        toSection: to.section,
+        toRoll: roll,
+        reason: reason || null,
+        changedBy: req.currentUser._id,
+        changedAt: new Date(),
+      });
+      student.class = to.className;
+      student.section = to.section;
+      student.roll = roll;
+      await student.save();
+
+      // The transfer is saved; a failed notice must not turn it into an error
+      try {
+        await notifyTransfer(student, from, to, {
+          fromSection: fromPlacement.section,
+          toSection: target.section,
+          actor: req.currentUser,
+          reason,
+        });
+      } catch (err) {
+        console.error("Transfer notification error:", err.message);
+      }
+
+      res.json({
+        message: `Student transferred to Class ${to.className} (${to.section}), roll ${roll}`,
+        student: {
+          id: student._id,
+          name: student.name,
+          userName: student.userName,
+          class: student.class,
+          section: student.section,
+          roll: student.roll,
+        },
+        transfer: student.classHistory[student.classHistory.length - 1],
+      });
+    } catch (err) {
+      console.error("Transfer student error:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Delete student (super_admin, or admin for students they manage)
 router.delete(
   "/student/:id",
   authenticateToken,
@@ -366,8 +833,17 @@ router.delete(
         return res.status(404).json({ message: "Student not found" });
       }
 
-      await Student.findByIdAndDelete(req.params.id);
-      res.json({ message: "Student deleted successfully" });
+      if (!(await can(req.currentUser, "student:delete", student))) {
+        return res.status(403).json({ message: "Not authorized to delete this student" });
+      }
+
+      // Archive instead of deleting; results and payments stay until a purge
+      student.deletedAt = new Date();
+      student.deletedBy = req.currentUser._id;
+      bumpTokenVersion(student);
+      await student.save();
+
+      res.json({ message: "Student archived successfully" });
     } catch (err) {
       console.error("Delete student error:", err.message);
       res.status(500).json({ message: "Server error" });
@@ -375,7 +851,92 @@ router.delete(
   }
 );
 
+// Restore an archived student (optional { roll } if the old roll has been taken)
+router.post(
+  "/student/:id/restore",
+  authenticateToken,
+  requireRole(["super_admin", "admin"]),
+  async (req, res) => {
+    try {
+      const student = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+      if (!student) {
+        return res.status(404).json({ message: "Archived student not found" });
+      }
+
+      if (!(await can(req.currentUser, "student:delete", student))) {
+        return res.status(403).json({ message: "Not authorized to restore this student" });
+      }
+
+      const roll = req.body?.roll === undefined ? student.roll : Number(req.body.roll);
+      if (!Number.isInteger(roll) || roll <= 0) {
+        return res.status(400).json({ message: "Roll must be a positive whole number" });
+      }
+
+      // Restored students take a place in their section again (graduates don't)
+      if (!student.graduatedAt) {
+        const placement = await resolveSection(student.class, student.section);
+        if (!placement.section) {
+          return res.status(placement.status).json({ message: placement.message });
+        }
+        const fullError = await capacityError(placement.section, placement.className);
+        if (fullError) {
+          return res.status(400).json({ message: fullError });
+        }
+      }
+
+      const existingRoll = await Student.findOne({ class: student.class, section: student.section, roll });
+      if (existingRoll) {
+        return res.status(409).json({
+          message: `Roll ${roll} already exists in Class ${student.class} (${student.section}). Provide a new roll to restore.`,
+        });
+      }
+
+      student.roll = roll;
+      student.deletedAt = null;
+      student.deletedBy = null;
+      await student.save();
+
+      res.json({ message: "Student restored successfully" });
+    } catch (err) {
+      console.error("Restore student error:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Permanently delete an archived student with their results and payment history (super admin only)
+router.delete(
+  "/student/:id/purge",
+  authenticateToken,
+  requireRole(["super_admin"]),
+  async (req, res) => {
+    try {
+      const student = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+      if (!student) {
+        return res.status(404).json({ message: "Archived student not found. Archive the student before purging." });
+      }
+
+      // Payment history lives on the student document, so deleting it removes the payments too
+      let deletedResults = 0;
+      await runInTransaction(async (session) => {
+        ({ deletedCount: deletedResults } = await Result.deleteMany({ student: student._id }, { session }));
+        await User.updateMany({ children: student._id }, { $pull: { children: student._id } })
+          .setOptions({ withDeleted: true, session });
+        await Student.deleteOne({ _id: student._id }, { session });
+      });
+      await removePhotoFiles(student.photo);
+
+      res.json({ message: "Student permanently deleted", deletedResults });
+    } catch (err) {
+      console.error("Purge student error:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Get results with filtering
+// ?page, ?limit, ?search (student name/userName), ?sort, ?format=csv|xlsx (one column per subject),
+// ?session=<id>|current for one academic session
 router.get(
   "/result",
   authenticateToken,
@@ -383,29 +944,57 @@ router.get(
   async (req, res) => {
     try {
       const { class: classFilter, studentId, semester } = req.query;
+      const format = exportFormat(req);
+      if (format === undefined) {
+        return res.status(400).json({ message: "Unsupported format. Use csv or xlsx" });
+      }
+      const { search: studentSearch, ...list } = parseListQuery(req, { ...RESULT_LIST, paginate: !format });
+      if (list.error) {
+        return res.status(400).json({ message: list.error });
+      }
+      const { session: academicSession, status, message } = await sessionFromQuery(req);
+      if (status) {
+        return res.status(status).json({ message });
+      }
       let filter = {};
 
       if (classFilter) filter.class = classFilter;
       if (studentId) filter.student = studentId;
       if (semester) filter.semester = semester;
-
-      // For teachers, only show their students' results
-      if (req.currentUser.role === "admin") {
-        const teacherStudents = await Student.find({ 
-          createdBy: req.currentUser._id 
-        }).select("_id");
-        
-        filter.student = { 
-          ...filter.student, 
-          $in: teacherStudents.map(s => s._id) 
-        };
+      if (academicSession) filter.session = academicSession._id;
+
+      // Admins and teachers only see results of students in their scope;
+      // a search narrows the students the same way
+      if (req.currentUser.role !== "super_admin" || studentSearch) {
+        const scope = await studentScope(req.currentUser);
+        const visible = studentId ? { $and: [scope, { _id: studentId }] } : scope;
+        const visibleStudents = await Student.find(withSearch(visible, studentSearch)).select("_id");
+        filter.student = { $in: visibleStudents.map(s => s._id) };
+      } else {
+        // Hide results of archived students
+        const archivedIds = await Student.distinct("_id", { deletedAt: { $ne: null } });
+        if (archivedIds.length > 0) {
+          filter.student = { ...(studentId && { $eq: studentId }), $nin: archivedIds };
+        }
       }
 
-      const results = await Result.find(filter)
+      const build = q => q
         .populate("student", "name roll class section")
-        .sort({ "student.class": 1, "student.roll": 1 });
+        .populate("session", "name status");
+
+      if (format) {
+        // One column per subject found in any exported result
+        const subjects = await Result.distinct("marks.subject", filter);
+        return await sendExport(res, format, {
+          filename: "results",
+          columns: resultExportColumns(subjects),
+          rows: findCursor(Result, filter, list, build),
+        });
+      }
+
+      const { data, pagination } = await findPage(Result, filter, list, build);
 
-      res.json(results);
+      res.json({ message: `${pagination.total} results found`, data, pagination });
     } catch (err) {
       console.error("Get results error:", err.message);
       res.status(500).json({ message: "Server error" });
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { Class, Section, Subject } = require('../model/schema');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { normalizeClassName } = require('../utils/classes');
+
+const SUBJECT_TYPES = ['compulsory', 'optional'];
+const CODE_PATTERN = /^[A-Z0-9-]{2,12}$/;
+
+const formatSubject = subject => ({
+  id: subject._id,
+  code: subject.code,
+  name: subject.name,
+  classes: subject.classes,
+  fullMarks: subject.fullMarks,
+  mcqMarks: subject.mcqMarks,
+  cqMarks: subject.cqMarks,
+  passMarks: subject.passMarks,
+  mcqPassMarks: subject.mcqPassMarks,
+  cqPassMarks: subject.cqPassMarks,
+  type: subject.type,
+  order: subject.order,
+  createdAt: subject.createdAt,
+  updatedAt: subject.updatedAt,
+});
+
+const isMarks = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate the fields of a create/update body; only fields present are returned
+ * @returns {Promise<{ fields: object }|{ error: string }>}
+ */
+const parseSubjectFields = async (body) => {
+  const fields = {};
+
+  if (body.code !== undefined) {
+    const code = typeof body.code === 'string' ? body.code.trim().toUpperCase() : '';
+    if (!CODE_PATTERN.test(code)) {
+      return { error: 'code must be 2-12 letters, digits or dashes' };
+    }
+    fields.code = code;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.classes !== undefined) {
+    if (!Array.isArray(body.classes) || body.classes.length === 0) {
+      return { error: 'classes must be a list of at least one class' };
+    }
+    const names = [...new Set(body.classes.map(normalizeClassName))];
+    if (names.includes(null)) {
+      return { error: 'classes contains an invalid class' };
+    }
+    const existing = await Class.distinct('name', { name: { $in: names } });
+    const missing = names.filter(name => !existing.includes(name));
+    if (missing.length > 0) {
+      return { error: `Classes do not exist: ${missing.join(', ')}` };
+    }
+    fields.classes = names.sort((a, b) => Number(a) - Number(b));
+  }
+
+  for (const field of ['fullMarks', 'mcqMarks', 'cqMarks', 'passMarks', 'mcqPassMarks', 'cqPassMarks', 'order']) {
+    if (body[field] === undefined) continue;
+    if (!isMarks(body[field])) {
+      return { error: `${field} must be a number of 0 or more` };
+    }
+    fields[field] = body[field];
+  }
+
+  if (body.type !== undefined) {
+    if (!SUBJECT_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${SUBJECT_TYPES.join(', ')}` };
+    }
+    fields.type = body.type;
+  }
+
+  return { fields };
+};
+
+// Rules across fields, checked on the subject as it will be saved
+const subjectConflict = async (subject) => {
+  if (!subject.fullMarks || subject.fullMarks <= 0) return 'fullMarks must be above 0';
+  if (subject.mcqMarks + subject.cqMarks !== subject.fullMarks) {
+    return `mcqMarks + cqMarks must equal fullMarks (${subject.fullMarks})`;
+  }
+  if (subject.passMarks > subject.fullMarks) return 'passMarks cannot be above fullMarks';
+  if (subject.mcqPassMarks > subject.mcqMarks) return 'mcqPassMarks cannot be above mcqMarks';
+  if (subject.cqPassMarks > subject.cqMarks) return 'cqPassMarks cannot be above cqMarks';
+
+  const sameCode = await Subject.findOne({ code: subject.code, _id: { $ne: subject._id } });
+  if (sameCode) return `Subject code ${subject.code} is already in use`;
+
+  // Marks and section lists refer to subjects by name, so a name is unique within a class
+  const sameName = await Subject.findOne({ name: subject.name, classes: { $in: subject.classes }, _id: { $ne: subject._id } });
+  if (sameName) return `Another subject named ${subject.name} is already taught in one of these classes`;
+  return null;
+};
+
+// Section ids of the given classes
+const sectionIdsOf = async (classNames) => {
+  const classIds = await Class.distinct('_id', { name: { $in: classNames } });
+  return Section.distinct('_id', { class: { $in: classIds } });
+};
+
+// ✅ List subjects (?class=6 for one class)
+router.get('/subjects', authenticateToken, requireRole(['super_admin', 'admin', 'teacher']), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.class) {
+      const className = normalizeClassName(req.query.class);
+      if (!className) return res.status(400).json({ message: `Invalid class: ${req.query.class}` });
+      filter.classes = className;
+    }
+
+    const subjects = await Subject.find(filter).sort({ order: 1, name: 1 });
+    res.json({ message: `${subjects.length} subjects found`, subjects: subjects.map(formatSubject) });
+  } catch (err) {
+    console.error('Get subjects list error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Create a subject
+// Body: code, name, classes [class names], fullMarks, mcqMarks, cqMarks, passMarks,
+// mcqPassMarks/cqPassMarks (optional), type ("compulsory" or "optional"), order (optional)
+router.post('/subjects', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const required = ['code', 'name', 'classes', 'fullMarks', 'passMarks'];
+    const missing = required.filter(field => req.body[field] === undefined);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Missing fields: ${missing.join(', ')}` });
+    }
+
+    const { fields, error } = await parseSubjectFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const subject = new Subject({
+      // Without a split the whole paper is CQ
+      cqMarks: fields.mcqMarks === undefined && fields.cqMarks === undefined ? fields.fullMarks : 0,
+      ...fields,
+      createdBy: req.currentUser._id
+    });
+    const conflict = await subjectConflict(subject);
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    await subject.save();
+    res.status(201).json({ message: 'Subject created successfully', subject: formatSubject(subject) });
+  } catch (err) {
+    console.error('Create subject error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Update a subject. Saved results keep the definition they were entered against;
+// renaming a subject also renames it in section subject lists.
+router.put('/subjects/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id);
+    if (!subject) return res.status(404).json({ message: 'Subject not found' });
+
+    const { fields, error } = await parseSubjectFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const previousName = subject.name;
+    const previousClasses = [...subject.classes];
+    Object.assign(subject, fields, { updatedAt: new Date() });
+    const conflict = await subjectConflict(subject);
+    if (conflict) return res.status(400).json({ message: conflict });
+
+    await subject.save();
+
+    const removedClasses = previousClasses.filter(name => !subject.classes.includes(name));
+    if (removedClasses.length > 0) {
+      await Section.updateMany(
+        { _id: { $in: await sectionIdsOf(removedClasses) } },
+        { $pull: { subjects: previousName } }
+      );
+    }
+    if (subject.name !== previousName) {
+      await Section.updateMany(
+        { _id: { $in: await sectionIdsOf(subject.classes) }, subjects: previousName },
+        { $set: { 'subjects.$': subject.name } }
+      );
+    }
+
+    res.json({ message: 'Subject updated successfully', subject: formatSubject(subject) });
+  } catch (err) {
+    console.error('Update subject error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ✅ Delete a subject (results keep their copy of its definition)
+router.delete('/subjects/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const subject = await Subject.findByIdAndDelete(req.params.id);
+    if (!subject) return res.status(404).json({ message: 'Subject not found' });
+
+    await Section.updateMany(
+      { _id: { $in: await sectionIdsOf(subject.classes) } },
+      { $pull: { subjects: subject.name } }
+    );
+
+    res.json({ message: 'Subject deleted successfully' });
+  } catch (err) {
+    console.error('Delete subject error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,50 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { User, Student } = require('../model/schema');
+const { User } = require('../model/schema');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+const { bumpTokenVersion } = require('../utils/tokenVersion');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { can, userScope } = require('../utils/policy');
+const { getCurrentSession, withSession } = require('../utils/academicSession');
+const { resolveAssignments } = require('../utils/classes');
+const { parseListQuery, findPage } = require('../utils/pagination');
+
+const ARCHIVED_USER_LIST = {
+  sortFields: ['firstName', 'lastName', 'email', 'role', 'createdAt', 'deletedAt'],
+  defaultSort: { deletedAt: -1, _id: 1 },
+  searchFields: ['firstName', 'lastName', 'email'],
 };
 
-// Middleware to check user role
-const requireRole = (allowedRoles) => {
-  return async (req, res, next) => {
-    try {
-      const user = await User.findById(req.user.id);
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      if (!allowedRoles.includes(user.role)) {
-        return res.status(403).json({ message: 'Insufficient permissions' });
-      }
-
-      req.currentUser = user; // Add user object to request
-      next();
-    } catch (err) {
-      console.error('Role check error:', err.message);
-      res.status(500).json({ message: 'Server error' });
-    }
-  };
-};
 // Update user (super_admin, admin, teacher)
-router.put('/user/:id', authenticateToken, async (req, res) => {
+router.put('/user/:id', authenticateToken, requireRole(['super_admin', 'admin', 'teacher', 'guardian']), async (req, res) => {
   try {
     const { id } = req.params;
     const { firstName, lastName, email, password, role, adminCode, assignedClasses } = req.body;
@@ -55,27 +27,18 @@ router.put('/user/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Role-based permission checks
-    const currentUser = await User.findById(req.user.id);
-    if (!currentUser) {
-      return res.status(404).json({ message: 'Current user not found' });
-    }
-
     // Super admin can update any user
-    // Admin can update teachers they created
-    // Teachers can only update their own profile
-    if (currentUser.role !== 'super_admin') {
-      if (currentUser.role === 'admin' && user.createdBy.toString() !== req.user.id) {
-        return res.status(403).json({ message: 'Not authorized to update this user' });
-      }
-      if (currentUser.role === 'teacher' && user._id.toString() !== req.user.id) {
-        return res.status(403).json({ message: 'Not authorized to update other users' });
-      }
+    // Admin can update users they created
+    // Everyone can update their own profile
+    const currentUser = req.currentUser;
+    if (!(await can(currentUser, 'user:update', user))) {
+      return res.status(403).json({ message: 'Not authorized to update this user' });
     }
 
     // Validate input
     if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email });
+      // Archived accounts keep their email until purged
+      const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
       if (existingUser) {
         return res.status(400).json({ message: 'Email already in use' });
       }
@@ -86,17 +49,22 @@ router.put('/user/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
 
+    // Password, role and class-assignment changes revoke already issued tokens
+    let revokeTokens = false;
+
     // Update fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (password) {
       const salt = await bcrypt.genSalt(10);
       user.password = await bcrypt.hash(password, salt);
+      revokeTokens = true;
     }
 
     // Role-specific updates (only super_admin can change roles or adminCode)
     if (currentUser.role === 'super_admin') {
       if (role && ['super_admin', 'admin', 'teacher'].includes(role)) {
+        if (role !== user.role) revokeTokens = true;
         user.role = role;
       }
       if (adminCode && user.role === 'admin') {
@@ -115,9 +83,19 @@ router.put('/user/:id', authenticateToken, async (req, res) => {
           return res.status(400).json({ message: 'Each assigned class must have both class and section' });
         }
       }
-      user.assignedClasses = assignedClasses;
+      // Every class/section must exist; names are stored in canonical form
+      const assignments = await resolveAssignments(assignedClasses);
+      if (!assignments.assignedClasses) {
+        return res.status(assignments.status).json({ message: assignments.message });
+      }
+      const currentClasses = user.assignedClasses.map(cls => `${cls.class}-${cls.section}`).sort().join(',');
+      const newClasses = assignments.assignedClasses.map(cls => `${cls.class}-${cls.section}`).sort().join(',');
+      if (currentClasses !== newClasses) revokeTokens = true;
+      user.assignedClasses = withSession(assignments.assignedClasses, await getCurrentSession());
     }
 
+    if (revokeTokens) bumpTokenVersion(user);
+
     await user.save();
 
     // Prepare response
@@ -143,176 +121,98 @@ router.put('/user/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update student
-router.put('/student/:id', authenticateToken, async (req, res) => {
+// Delete user (super_admin, admin)
+router.delete('/user/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, userName, password, roll, class: studentClass, section } = req.body;
 
-    // Find the student to update
-    let student = await Student.findById(id);
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
+    // Find the user to delete
+    let user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Role-based permission checks
-    const currentUser = await User.findById(req.user.id);
-    if (!currentUser) {
-      const currentStudent = await Student.findById(req.user.id);
-      if (!currentStudent || currentStudent._id.toString() !== id) {
-        return res.status(404).json({ message: 'Current user not found' });
-      }
+    // Prevent super_admin from being deleted
+    if (user.role === 'super_admin') {
+      return res.status(403).json({ message: 'Super admin cannot be deleted' });
     }
 
-    // Super admin and admin can update any student
-    // Teachers can update students in their assigned classes (only name, roll)
-    // Students can update their own profile (only password, name)
-    if (currentUser) {
-      if (currentUser.role === 'teacher') {
-        const isAssigned = currentUser.assignedClasses.some(
-          cls => cls.class === student.class && cls.section === student.section
-        );
-        if (!isAssigned) {
-          return res.status(403).json({ message: 'Not authorized to update this student' });
-        }
-        if (userName || studentClass || section) {
-          return res.status(403).json({ message: 'Teachers can only update name or roll' });
-        }
-      }
-    } else {
-      // Student updating their own profile
-      if (roll || studentClass || section || userName) {
-        return res.status(403).json({ message: 'Students can only update name or password' });
-      }
+    // Super admin can delete any user, admins only users they created
+    if (!(await can(req.currentUser, 'user:delete', user))) {
+      return res.status(403).json({ message: 'Not authorized to delete this user' });
     }
 
-    // Validate input
-    if (userName && userName !== student.userName) {
-      const existingStudent = await Student.findOne({ userName });
-      if (existingStudent && existingStudent._id.toString() !== id) {
-        return res.status(400).json({ message: 'Username already in use' });
-      }
-      student.userName = userName;
-    }
+    // Archive instead of deleting and sign the user out everywhere
+    user.deletedAt = new Date();
+    user.deletedBy = req.currentUser._id;
+    bumpTokenVersion(user);
+    await user.save();
 
-    if (roll && studentClass && section) {
-      const existingStudent = await Student.findOne({
-        roll,
-        class: studentClass,
-        section,
-        _id: { $ne: id }
-      });
-      if (existingStudent) {
-        return res.status(400).json({ message: 'Roll number already exists in this class and section' });
-      }
-    }
+    res.json({ message: 'User archived successfully' });
 
-    if (password && password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters' });
-    }
+  } catch (err) {
+    console.error('Delete user error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Update fields
-    if (name) student.name = name;
-    if (password) {
-      const salt = await bcrypt.genSalt(10);
-      student.password = await bcrypt.hash(password, salt);
+// List archived users (super_admin: all, admin: users they created)
+router.get('/user/archived', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+  try {
+    const list = parseListQuery(req, ARCHIVED_USER_LIST);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
     }
-    if (roll && ['super_admin', 'admin'].includes(currentUser?.role)) student.roll = roll;
-    if (studentClass && ['super_admin', 'admin'].includes(currentUser?.role)) student.class = studentClass;
-    if (section && ['super_admin', 'admin'].includes(currentUser?.role)) student.section = section;
 
-    await student.save();
-
-    // Prepare response
-    const studentResponse = {
-      id: student._id,
-      name: student.name,
-      userName: student.userName,
-      roll: student.roll,
-      class: student.class,
-      section: student.section,
-      createdBy: student.createdBy
-    };
-
-    res.json({ message: 'Student updated successfully', student: studentResponse });
+    const query = { ...userScope(req.currentUser), deletedAt: { $ne: null } };
+    const { data, pagination } = await findPage(User, query, list, q => q
+      .select('-password -refreshTokens')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('deletedBy', 'firstName lastName email'));
 
+    res.json({ message: `${pagination.total} archived users found`, data, pagination });
   } catch (err) {
-    console.error('Update student error:', err.message);
-    if (err.code === 11000) {
-      return res.status(400).json({ message: 'Username or roll number already exists' });
-    }
+    console.error('Get archived users error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete user (super_admin, admin)
-router.delete('/user/:id', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
+// Restore an archived user
+router.post('/user/:id/restore', authenticateToken, requireRole(['super_admin', 'admin']), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Find the user to delete
-    let user = await User.findById(id);
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Role-based permission checks
-    const currentUser = await User.findById(req.user.id);
-    if (currentUser.role !== 'super_admin' && user.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this user' });
+      return res.status(404).json({ message: 'Archived user not found' });
     }
 
-    // Prevent super_admin from being deleted
-    if (user.role === 'super_admin') {
-      return res.status(403).json({ message: 'Super admin cannot be deleted' });
+    if (!(await can(req.currentUser, 'user:delete', user))) {
+      return res.status(403).json({ message: 'Not authorized to restore this user' });
     }
 
-    // Delete user
-    await User.deleteOne({ _id: id });
-
-    res.json({ message: 'User deleted successfully' });
+    user.deletedAt = null;
+    user.deletedBy = null;
+    await user.save();
 
+    res.json({ message: 'User restored successfully' });
   } catch (err) {
-    console.error('Delete user error:', err.message);
+    console.error('Restore user error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete student (super_admin, admin, teacher)
-router.delete('/student/:id', authenticateToken, async (req, res) => {
+// Permanently delete an archived user (super admin only)
+router.delete('/user/:id/purge', authenticateToken, requireRole(['super_admin']), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Find the student to delete
-    let student = await Student.findById(id);
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
-    }
-
-    // Role-based permission checks
-    const currentUser = await User.findById(req.user.id);
-    if (!currentUser) {
-      return res.status(403).json({ message: 'Not authorized to delete students' });
-    }
-
-    if (currentUser.role === 'teacher') {
-      const isAssigned = currentUser.assignedClasses.some(
-        cls => cls.class === student.class && cls.section === student.section
-      );
-      if (!isAssigned) {
-        return res.status(403).json({ message: 'Not authorized to delete this student' });
-      }
-    } else if (currentUser.role === 'admin' && student.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this student' });
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!user) {
+      return res.status(404).json({ message: 'Archived user not found. Archive the user before purging.' });
     }
 
-    // Delete student
-    await Student.deleteOne({ _id: id });
-
-    res.json({ message: 'Student deleted successfully' });
+    await User.deleteOne({ _id: user._id });
 
+    res.json({ message: 'User permanently deleted' });
   } catch (err) {
-    console.error('Delete student error:', err.message);
+    console.error('Purge user error:', err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
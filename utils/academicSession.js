@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { AcademicSession, Setting } = require('../model/schema');
+
+// Setting key holding the current session id
+const CURRENT_SESSION_KEY = 'currentAcademicSession';
+
+// Current academic session document, or null when none has been set
+const getCurrentSession = async () => {
+  const setting = await Setting.findOne({ key: CURRENT_SESSION_KEY });
+  if (!setting || !setting.value) return null;
+  return AcademicSession.findById(setting.value);
+};
+
+const setCurrentSession = (session, updatedBy) => Setting.findOneAndUpdate(
+  { key: CURRENT_SESSION_KEY },
+  { value: session._id, updatedBy: updatedBy._id, updatedAt: new Date() },
+  { upsert: true, new: true }
+);
+
+/**
+ * Look up a session from a request value: an id or "current"
+ * @returns {Promise<{ session: object }|{ status: number, message: string }>}
+ */
+const findSession = async (value) => {
+  if (value === 'current') {
+    const session = await getCurrentSession();
+    if (!session) return { status: 404, message: 'No current academic session has been set' };
+    return { session };
+  }
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return { status: 400, message: 'Invalid academic session' };
+  }
+  const session = await AcademicSession.findById(value);
+  if (!session) return { status: 404, message: 'Academic session not found' };
+  return { session };
+};
+
+/**
+ * Session named by ?session= on list and report routes
+ * @returns {Promise<{ session: object|null }|{ status: number, message: string }>} session is null when not filtering
+ */
+const sessionFromQuery = async (req) => {
+  if (!req.query.session) return { session: null };
+  return findSession(req.query.session);
+};
+
+/**
+ * Session new records are written to: the one given, otherwise the current session.
+ * Closed sessions are rejected; with no sessions set up yet, records are written without one.
+ * @param {string} [value] - Session id from the request body
+ * @returns {Promise<{ session: object|null }|{ status: number, message: string }>}
+ */
+const writableSession = async (value) => {
+  let session = null;
+  if (value) {
+    const found = await findSession(value);
+    if (!found.session) return found;
+    session = found.session;
+  } else {
+    session = await getCurrentSession();
+  }
+
+  if (session && session.status === 'closed') {
+    return { status: 409, message: `Academic session ${session.name} is closed and read-only` };
+  }
+  return { session };
+};
+
+// Stamp assignments that don't name a session with the given one
+const withSession = (assignedClasses, session) => assignedClasses.map(cls => ({
+  class: cls.class,
+  section: cls.section,
+  session: cls.session || (session ? session._id : null),
+}));
+
+module.exports = {
+  CURRENT_SESSION_KEY,
+  getCurrentSession,
+  setCurrentSession,
+  findSession,
+  sessionFromQuery,
+  writableSession,
+  withSession,
+};
@@ -0,0 +1,26 @@
+const { User } = require('../model/schema');
+
+// Generate admin code (format: YYMM001)
+const generateAdminCode = async () => {
+  const now = new Date();
+  const year = now.getFullYear().toString().slice(-2);
+  const month = (now.getMonth() + 1).toString().padStart(2, '0');
+  const prefix = year + month;
+  
+  // Find the latest admin code with the same prefix (archived admins keep their codes)
+  const latestAdmin = await User.findOne(
+    { adminCode: new RegExp(`^${prefix}`) },
+    { adminCode: 1 },
+    { sort: { adminCode: -1 } }
+  ).setOptions({ withDeleted: true });
+  
+  let sequence = 1;
+  if (latestAdmin && latestAdmin.adminCode) {
+    const lastSequence = parseInt(latestAdmin.adminCode.slice(-3));
+    sequence = lastSequence + 1;
+  }
+  
+  return prefix + sequence.toString().padStart(3, '0');
+};
+
+module.exports = generateAdminCode;
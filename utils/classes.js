@@ -0,0 +1,135 @@
+const { Class, Section, Student } = require('../model/schema');
+
+const CLASS_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12,
+};
+
+/**
+ * Canonical class name: "06", "Six", "Class 6" and "6th" all become "6"
+ * @returns {string|null} null when the value is not a recognisable class
+ */
+const normalizeClassName = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase().replace(/^class\s*/, '');
+  const digits = text.match(/^(\d+)(st|nd|rd|th)?$/);
+  if (digits && Number(digits[1]) > 0) return String(Number(digits[1]));
+  return CLASS_WORDS[text] ? String(CLASS_WORDS[text]) : null;
+};
+
+// Canonical section name: trimmed, upper case ("a " -> "A")
+const normalizeSectionName = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toUpperCase();
+  return text || null;
+};
+
+/**
+ * Find the Class and Section documents for a class/section pair
+ * @returns {Promise<{ classDoc, section, className, sectionName }|{ status: number, message: string }>}
+ */
+const resolveSection = async (className, sectionName) => {
+  const name = normalizeClassName(className);
+  if (!name) return { status: 400, message: `Invalid class: ${className}` };
+  const sectionKey = normalizeSectionName(sectionName);
+  if (!sectionKey) return { status: 400, message: 'Section is required' };
+
+  const classDoc = await Class.findOne({ name });
+  if (!classDoc) return { status: 400, message: `Class ${name} does not exist` };
+
+  const section = await Section.findOne({ class: classDoc._id, name: sectionKey });
+  if (!section) return { status: 400, message: `Section ${sectionKey} does not exist in Class ${name}` };
+
+  return { classDoc, section, className: name, sectionName: section.name };
+};
+
+/**
+ * Validate teacher assignments and return them with canonical class/section names
+ * @param {Array<{ class, section, session? }>} assignedClasses
+ * @returns {Promise<{ assignedClasses: Array }|{ status: number, message: string }>}
+ */
+const resolveAssignments = async (assignedClasses) => {
+  const resolved = [];
+  for (const cls of assignedClasses) {
+    const found = await resolveSection(cls.class, cls.section);
+    if (!found.section) return found;
+    resolved.push({ class: found.className, section: found.sectionName, session: cls.session || null });
+  }
+  return { assignedClasses: resolved };
+};
+
+/**
+ * Check a section has room for more students
+ * @param {object} section - Section document
+ * @param {string} className - Canonical class name
+ * @param {number} [adding=1] - Students about to be added
+ * @returns {Promise<string|null>} Error message, or null when there is room
+ */
+const capacityError = async (section, className, adding = 1) => {
+  if (!section.capacity) return null;
+  const enrolled = await Student.countDocuments({ class: className, section: section.name, graduatedAt: null });
+  if (enrolled + adding > section.capacity) {
+    return `Class ${className} (${section.name}) is full: ${enrolled} of ${section.capacity} places taken`;
+  }
+  return null;
+};
+
+/**
+ * Highest roll held in a section, counting archived and graduated students
+ * (they keep their rolls and could be restored)
+ * @param {object} section - Section document
+ * @param {string} className - Canonical class name
+ * @returns {Promise<number>} 0 when no student holds a roll
+ */
+const highestRoll = async (section, className) => {
+  const [highest] = await Student.find({ class: className, section: section.name })
+    .setOptions({ withDeleted: true })
+    .sort({ roll: -1 })
+    .limit(1)
+    .select('roll');
+  return highest ? highest.roll : 0;
+};
+
+/**
+ * Rolls kept by archived and graduated students of a section; renumbering skips them
+ * @param {object} section - Section document
+ * @param {string} className - Canonical class name
+ * @returns {Promise<Set<number>>}
+ */
+const heldRolls = async (section, className) => {
+  const rolls = await Student.distinct('roll', {
+    class: className,
+    section: section.name,
+    $or: [{ deletedAt: { $ne: null } }, { graduatedAt: { $ne: null } }],
+  }).setOptions({ withDeleted: true });
+  return new Set(rolls.filter(roll => roll !== null && roll !== undefined));
+};
+
+/**
+ * Reserve the next free roll in a section (one past the highest roll in use).
+ * The section's lastRoll counter is raised in a single atomic update, so concurrent
+ * requests always get different rolls even when they read the same highest roll.
+ * @param {object} section - Section document
+ * @param {string} className - Canonical class name
+ * @param {number} [after=0] - Also stay above this roll (e.g. rolls about to be inserted)
+ * @returns {Promise<number>}
+ */
+const nextRoll = async (section, className, after = 0) => {
+  const highest = await highestRoll(section, className);
+  const updated = await Section.findOneAndUpdate(
+    { _id: section._id },
+    [{ $set: { lastRoll: { $add: [{ $max: [{ $ifNull: ['$lastRoll', 0] }, highest, after] }, 1] } } }],
+    { new: true }
+  );
+  return updated.lastRoll;
+};
+
+module.exports = {
+  normalizeClassName,
+  normalizeSectionName,
+  resolveSection,
+  resolveAssignments,
+  capacityError,
+  heldRolls,
+  nextRoll,
+};
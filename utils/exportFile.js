@@ -0,0 +1,96 @@
+// Stream list data as CSV or XLSX downloads
+const ExcelJS = require("exceljs");
+const { toCsv } = require("./csv");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * Read and validate the ?format= query parameter
+ * @returns {string|null} "csv", "xlsx", null for plain JSON, or undefined when unsupported
+ */
+const exportFormat = (req) => {
+  const format = req.query.format;
+  if (!format || format === "json") return null;
+  return EXPORT_FORMATS.includes(format) ? format : undefined;
+};
+
+const CSV_BATCH_SIZE = 500;
+
+// Text spreadsheet apps would run as a formula (=, +, -, @, tab, CR)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// CSV cells starting like a formula are prefixed with ' so they open as text
+const csvCellValue = (value) => {
+  const cell = cellValue(value);
+  return typeof cell === "string" && FORMULA_START.test(cell) ? `'${cell}` : cell;
+};
+
+// Write to the response, waiting when its buffer is full
+const writeChunk = (res, text) => (
+  res.write(text) ? Promise.resolve() : new Promise(resolve => res.once("drain", resolve))
+);
+
+const writeCsv = async (res, columns, rows) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  await writeChunk(res, toCsv([columns.map(c => csvCellValue(c.header))]));
+  // Write in batches so large lists don't build one huge string
+  let batch = [];
+  for await (const row of rows) {
+    batch.push(columns.map(c => csvCellValue(c.value(row))));
+    if (batch.length === CSV_BATCH_SIZE) {
+      await writeChunk(res, toCsv(batch));
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await writeChunk(res, toCsv(batch));
+  res.end();
+};
+
+const writeXlsx = async (res, filename, columns, rows) => {
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(filename.slice(0, 31));
+  sheet.columns = columns.map(c => ({ header: c.header, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for await (const row of rows) {
+    sheet.addRow(columns.map(c => cellValue(c.value(row)))).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Send rows as a file download
+ * @param {object} res - Express response
+ * @param {string} format - "csv" or "xlsx"
+ * @param {object} options
+ * @param {string} options.filename - File name without extension
+ * @param {Array<{ header: string, value: Function }>} options.columns - Column titles and cell getters
+ * @param {Array|AsyncIterable} options.rows - Documents to export, e.g. a query cursor (see findCursor)
+ */
+const sendExport = async (res, format, { filename, columns, rows }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const fullName = `${filename}-${stamp}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${fullName}"`);
+
+  try {
+    if (format === "csv") {
+      await writeCsv(res, columns, rows);
+    } else {
+      await writeXlsx(res, filename, columns, rows);
+    }
+  } catch (err) {
+    // Before the first byte the route can still answer with an error status
+    if (!res.headersSent) throw err;
+    console.error("Export stream error:", err.message);
+    res.destroy(err);
+  }
+};
+
+module.exports = { EXPORT_FORMATS, exportFormat, sendExport };
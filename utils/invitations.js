@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const sendEmail = require('./sendEmail');
+const { Invitation } = require('../model/schema');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ROLE_LABELS = {
+  admin: 'an admin',
+  teacher: 'a teacher',
+  guardian: 'a guardian',
+};
+
+/**
+ * Give an invitation a fresh token and expiry, save it, and email the link.
+ * Calling it again (resend) invalidates the previous link.
+ * @param {object} invitation - Invitation document
+ * @param {object} inviter - User sending the invitation
+ */
+const sendInvitation = async (invitation, inviter) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL);
+  await invitation.save();
+
+  const link = `${process.env.CLIENT_URL}/accept-invite?token=${token}`;
+  await sendEmail(
+    invitation.email,
+    'You have been invited to School Management',
+    `<p>Hello ${invitation.firstName},</p>
+     <p>${inviter.firstName} ${inviter.lastName} has invited you to join School Management as ${ROLE_LABELS[invitation.role]}.</p>
+     <p>Click the link below to set your password and activate your account:</p>
+     <p><a href="${link}">${link}</a></p>
+     <p>This invitation expires in 7 days.</p>`
+  );
+};
+
+/**
+ * Find a pending, unexpired invitation by the raw token from the link
+ * @param {string} token - Raw token
+ */
+const findPendingInvitation = (token) => Invitation.findOne({
+  tokenHash: hashToken(token),
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+});
+
+module.exports = { sendInvitation, findPendingInvitation };
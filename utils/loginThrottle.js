@@ -0,0 +1,85 @@
+const { LoginAttempt } = require('../model/schema');
+
+// Per-account (email/userName) and per-IP limits
+const ACCOUNT_POLICY = { freeAttempts: 3, maxAttempts: 10, lockMs: 15 * 60 * 1000 };
+const IP_POLICY = { freeAttempts: 20, maxAttempts: 50, lockMs: 15 * 60 * 1000 };
+const MAX_DELAY_MS = 60 * 1000;
+
+const accountKey = (identifier) => `account:${String(identifier).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Seconds the caller has to wait before another sign-in attempt
+ * @param {string[]} keys - Attempt keys to check (account and IP)
+ * @returns {Promise<number>} 0 when an attempt is allowed
+ */
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+
+  let waitMs = 0;
+  for (const attempt of attempts) {
+    const lockUntil = attempt.lockUntil ? attempt.lockUntil.getTime() : 0;
+    const nextAttemptAt = attempt.nextAttemptAt ? attempt.nextAttemptAt.getTime() : 0;
+    waitMs = Math.max(waitMs, lockUntil - now, nextAttemptAt - now);
+  }
+
+  return Math.ceil(waitMs / 1000);
+};
+
+/**
+ * Record a failed sign-in attempt
+ * After `freeAttempts` failures each attempt doubles the wait (1s, 2s, 4s ... 60s),
+ * and at `maxAttempts` the key is locked for `lockMs`.
+ * @param {string} key - Attempt key
+ * @param {object} policy - ACCOUNT_POLICY or IP_POLICY
+ * @returns {Promise<boolean>} true if this failure locked the key
+ */
+const recordFailure = async (key, policy) => {
+  const now = new Date();
+
+  // A lock that has run out starts a fresh count
+  await LoginAttempt.updateOne(
+    { key, lockUntil: { $ne: null, $lte: now } },
+    { $set: { count: 0, lockUntil: null, nextAttemptAt: null } }
+  );
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $set: { lastFailedAt: now } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.count >= policy.maxAttempts) {
+    if (attempt.lockUntil && attempt.lockUntil > now) return false; // already locked
+    attempt.lockUntil = new Date(now.getTime() + policy.lockMs);
+    await attempt.save();
+    return true;
+  }
+
+  if (attempt.count > policy.freeAttempts) {
+    const delay = Math.min(1000 * 2 ** (attempt.count - policy.freeAttempts - 1), MAX_DELAY_MS);
+    attempt.nextAttemptAt = new Date(now.getTime() + delay);
+    await attempt.save();
+  }
+
+  return false;
+};
+
+/**
+ * Clear failed attempts (successful sign-in or admin unlock)
+ * @param {string} key - Attempt key
+ */
+const clearFailures = async (key) => {
+  await LoginAttempt.deleteOne({ key });
+};
+
+module.exports = {
+  ACCOUNT_POLICY,
+  IP_POLICY,
+  accountKey,
+  ipKey,
+  getRetryAfter,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,39 @@
+const { User } = require('../model/schema');
+const sendEmail = require('./sendEmail');
+
+/**
+ * Email the class teachers of the sections a student left and joined.
+ * Sections without a class teacher are skipped; send failures are logged by sendEmail.
+ * @param {object} student - Student document (after the transfer)
+ * @param {{ className, section, roll }} from
+ * @param {{ className, section, roll }} to
+ * @param {{ fromSection, toSection, actor, reason }} details - Section documents, acting user, optional reason
+ */
+const notifyTransfer = async (student, from, to, { fromSection, toSection, actor, reason }) => {
+  const teacherIds = [fromSection && fromSection.classTeacher, toSection && toSection.classTeacher].filter(Boolean);
+  if (teacherIds.length === 0) return;
+
+  const teachers = await User.find({ _id: { $in: teacherIds }, role: 'teacher' }).select('firstName email');
+  const actorName = `${actor.firstName} ${actor.lastName}`;
+
+  const teaches = (section, teacher) => !!(section && section.classTeacher && teacher._id.equals(section.classTeacher));
+
+  for (const teacher of teachers) {
+    let change = 'joined your section';
+    if (teaches(fromSection, teacher)) {
+      change = teaches(toSection, teacher) ? 'moved between your sections' : 'left your section';
+    }
+    await sendEmail(
+      teacher.email,
+      `Student transfer: ${student.name}`,
+      `<p>Hello ${teacher.firstName},</p>
+       <p>${student.name} (${student.userName}) has ${change}.</p>
+       <p>From: Class ${from.className} (${from.section}), roll ${from.roll}<br>
+          To: Class ${to.className} (${to.section}), roll ${to.roll}</p>
+       ${reason ? `<p>Reason: ${reason}</p>` : ''}
+       <p>Transferred by ${actorName}.</p>`
+    );
+  }
+};
+
+module.exports = { notifyTransfer };
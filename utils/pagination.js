@@ -0,0 +1,103 @@
+// Shared paging, search and sorting for list endpoints
+// Every list route responds with { message, data, pagination, ...extra }
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Read ?page, ?limit, ?search and ?sort from the request
+ * @param {object} req - Express request
+ * @param {object} options
+ * @param {string[]} options.sortFields - Fields clients may sort by (?sort=name or ?sort=-name)
+ * @param {object} options.defaultSort - Mongo sort used when ?sort is not given
+ * @param {string[]} [options.searchFields] - Fields matched by ?search (case-insensitive)
+ * @param {boolean} [options.paginate=true] - false returns every match (used by exports)
+ * @returns {{ error: string }|{ page, limit, skip, sort, search }}
+ */
+const parseListQuery = (req, { sortFields, defaultSort, searchFields = [], paginate = true }) => {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive whole number" };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  // Repeated parameters (?sort=a&sort=b) arrive as arrays
+  if (req.query.sort !== undefined && typeof req.query.sort !== "string") {
+    return { error: "sort must be given once" };
+  }
+  if (req.query.search !== undefined && typeof req.query.search !== "string") {
+    return { error: "search must be given once" };
+  }
+
+  let sort = defaultSort;
+  if (req.query.sort) {
+    const descending = req.query.sort.startsWith("-");
+    const field = descending ? req.query.sort.slice(1) : req.query.sort;
+    if (!sortFields.includes(field)) {
+      return { error: `sort must be one of: ${sortFields.join(", ")}` };
+    }
+    sort = { [field]: descending ? -1 : 1, _id: 1 };
+  }
+
+  const term = req.query.search ? req.query.search.trim() : "";
+  const search = term && searchFields.length > 0
+    ? { $or: searchFields.map(field => ({ [field]: { $regex: escapeRegex(term), $options: "i" } })) }
+    : null;
+
+  return paginate
+    ? { page, limit, skip: (page - 1) * limit, sort, search }
+    : { page: 1, limit: null, skip: 0, sort, search };
+};
+
+// Combine a scope filter with the search filter without clobbering either's $or
+const withSearch = (filter, search) => (search ? { $and: [filter, search] } : filter);
+
+/**
+ * Run a list query for one page
+ * @param {object} Model - Mongoose model
+ * @param {object} filter - Scope/filters (search is added here)
+ * @param {object} list - Result of parseListQuery
+ * @param {Function} [build] - Adds select/populate to the query
+ * @returns {Promise<{ data: Array, pagination: object }>}
+ */
+const findPage = async (Model, filter, list, build = (query) => query) => {
+  const where = withSearch(filter, list.search);
+  let query = build(Model.find(where)).sort(list.sort).skip(list.skip);
+  if (list.limit) query = query.limit(list.limit);
+
+  const [data, total] = await Promise.all([query, Model.countDocuments(where)]);
+  const limit = list.limit || total;
+  const totalPages = limit ? Math.ceil(total / limit) : 0;
+
+  return {
+    data,
+    pagination: {
+      page: list.page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: list.page < totalPages,
+      hasPrevPage: list.page > 1,
+    },
+  };
+};
+
+/**
+ * Cursor over every match in list order, so exports can stream instead of loading all rows
+ * @param {object} Model - Mongoose model
+ * @param {object} filter - Scope/filters (search is added here)
+ * @param {object} list - Result of parseListQuery
+ * @param {Function} [build] - Adds select/populate to the query
+ * @returns {object} Mongoose query cursor
+ */
+const findCursor = (Model, filter, list, build = (query) => query) => (
+  build(Model.find(withSearch(filter, list.search))).sort(list.sort).cursor()
+);
+
+module.exports = { parseListQuery, withSearch, findPage, findCursor };
@@ -0,0 +1,162 @@
+const { User } = require('../model/schema');
+
+// Central authorization rules: "can actor X do action Y on resource Z".
+// Actors are User documents or Student documents (role "student").
+//
+// Scope summary:
+// - super_admin: everything
+// - admin: users they created, and students created by them or by their teachers
+// - teacher: students in their assigned class + section pairs
+// - guardian: their linked children (read only)
+// - student: their own record (read only, plus own name/password)
+
+// Compare ids, accepting populated documents as well as raw ObjectIds
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => !!a && !!b && idOf(a).toString() === idOf(b).toString();
+
+// A teacher's assignments for the current academic session (loaded by authenticateToken);
+// assignments without a session apply to every session
+const activeAssignments = (actor) => {
+  const currentSessionId = actor.$locals && actor.$locals.currentSessionId;
+  return (actor.assignedClasses || []).filter(
+    cls => !cls.session || !currentSessionId || sameId(cls.session, currentSessionId)
+  );
+};
+
+const isAssignedTo = (actor, className, section) => activeAssignments(actor).some(
+  cls => cls.class === className && cls.section === section
+);
+
+// Creator ids whose students an admin manages: the admin and the teachers they created
+const getManagedCreatorIds = async (admin) => {
+  // Archived teachers included so their students stay in the admin's scope
+  const teachers = await User.find({ createdBy: admin._id, role: 'teacher' })
+    .setOptions({ withDeleted: true })
+    .select('_id');
+  return [admin._id, ...teachers.map(t => t._id)];
+};
+
+// Matches no documents (a fresh object each time, since callers add filters to it)
+const nothing = () => ({ _id: { $in: [] } });
+
+/**
+ * Mongo filter for the students an actor can see
+ * @param {object} actor - User or Student document
+ * @returns {Promise<object>}
+ */
+const studentScope = async (actor) => {
+  switch (actor.role) {
+    case 'super_admin':
+      return {};
+    case 'admin':
+      return { createdBy: { $in: await getManagedCreatorIds(actor) } };
+    case 'teacher': {
+      const assignments = activeAssignments(actor);
+      if (assignments.length === 0) return nothing();
+      return { $or: assignments.map(cls => ({ class: cls.class, section: cls.section })) };
+    }
+    case 'guardian':
+      return { _id: { $in: actor.children || [] } };
+    case 'student':
+      return { _id: actor._id };
+    default:
+      return nothing();
+  }
+};
+
+/**
+ * Mongo filter for the users (staff/guardians) an actor manages
+ * @param {object} actor - User document
+ * @returns {object}
+ */
+const userScope = (actor) => {
+  if (actor.role === 'super_admin') return {};
+  if (actor.role === 'admin') return { createdBy: actor._id };
+  return nothing();
+};
+
+// Admin-level control over a student (delete, payments, sessions)
+const managesStudent = async (actor, student) => {
+  if (actor.role === 'super_admin') return true;
+  if (actor.role !== 'admin' || !student.createdBy) return false;
+  const creatorIds = await getManagedCreatorIds(actor);
+  return creatorIds.some(id => sameId(id, student.createdBy));
+};
+
+const canSeeStudent = async (actor, student) => {
+  switch (actor.role) {
+    case 'super_admin':
+    case 'admin':
+      return managesStudent(actor, student);
+    case 'teacher':
+      return isAssignedTo(actor, student.class, student.section);
+    case 'guardian':
+      return (actor.children || []).some(id => sameId(id, student._id));
+    case 'student':
+      return sameId(actor._id, student._id);
+    default:
+      return false;
+  }
+};
+
+const teachesOrManagesStudent = async (actor, student) => (
+  (actor.role === 'teacher' && isAssignedTo(actor, student.class, student.section)) ||
+  managesStudent(actor, student)
+);
+
+// Admin-level control over a staff/guardian account
+const managesUser = (actor, user) => (
+  actor.role === 'super_admin' ||
+  (actor.role === 'admin' && sameId(user.createdBy, actor._id))
+);
+
+const RULES = {
+  'student:create': (actor) => ['super_admin', 'admin'].includes(actor.role),
+  'student:read': canSeeStudent,
+  // Field-level limits (teachers: name/roll, students: name/password) stay in the route
+  'student:update': async (actor, student) => (
+    (actor.role === 'student' && sameId(actor._id, student._id)) ||
+    teachesOrManagesStudent(actor, student)
+  ),
+  'student:delete': managesStudent,
+  'student:manage': managesStudent,
+  'student:reset-password': teachesOrManagesStudent,
+
+  'result:read': canSeeStudent,
+  'result:write': teachesOrManagesStudent,
+
+  'payment:read': canSeeStudent,
+  'payment:update': managesStudent,
+
+  'user:update': (actor, user) => sameId(actor._id, user._id) || managesUser(actor, user),
+  'user:delete': (actor, user) => user.role !== 'super_admin' && !sameId(actor._id, user._id) && managesUser(actor, user),
+  'user:manage': managesUser,
+
+  'invitation:manage': (actor, invitation) => (
+    actor.role === 'super_admin' || sameId(invitation.invitedBy, actor._id)
+  ),
+};
+
+/**
+ * Check whether an actor may perform an action on a resource
+ * @param {object} actor - Signed-in User or Student document (req.currentUser)
+ * @param {string} action - e.g. "student:delete" (see RULES)
+ * @param {object} [resource] - Target document (Student, User, Invitation)
+ * @returns {Promise<boolean>}
+ */
+const can = async (actor, action, resource) => {
+  const rule = RULES[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  return !!(await rule(actor, resource));
+};
+
+module.exports = {
+  can,
+  studentScope,
+  userScope,
+  isAssignedTo,
+  activeAssignments,
+  getManagedCreatorIds,
+};
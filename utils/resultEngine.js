@@ -0,0 +1,105 @@
+// Result computation: per-subject grades and the overall GPA under board (SSC/JSC-style) rules.
+// Pure functions with no database access, so the Result model's pre-save hook can use them.
+const { DEFAULT_BANDS, getGrade } = require('../config/gradeUtils');
+
+// Rules used when a result's grading scale doesn't set its own
+const DEFAULT_RULES = {
+  // A fail in any compulsory subject makes the whole result a fail (GPA 0)
+  failOnAnySubject: true,
+  // MCQ and CQ must each reach their own pass mark (from the subject definition)
+  componentPassMarks: true,
+  // Optional subject GPA above this is added to the compulsory total;
+  // null counts the optional subject like any other
+  optionalBonusAbove: 2,
+};
+
+const round2 = value => parseFloat(value.toFixed(2));
+
+// Pass mark for one component, scaled when the exam's total differs from the subject's
+const componentPassMark = (passMarks, componentMarks, examTotal) => (
+  componentMarks > 0 ? (passMarks * examTotal) / componentMarks : passMarks
+);
+
+/**
+ * Grade one subject
+ * @returns {{ totalScore, grade, gpa, passed, reason: string|null }}
+ */
+const gradeSubject = (mark, bands, rules, failGrade) => {
+  const totalScore = (mark.mcqScore || 0) + (mark.cqScore || 0);
+  const totalMarks = (mark.mcqTotal || 0) + (mark.cqTotal || 0);
+  const percentage = totalMarks > 0 ? (totalScore / totalMarks) * 100 : 0;
+  const { grade, gpa } = getGrade(percentage, bands);
+
+  let reason = grade === failGrade ? 'Below the pass percentage' : null;
+  const definition = mark.definition;
+  if (!reason && rules.componentPassMarks && definition) {
+    if (mark.mcqTotal > 0 && definition.mcqPassMarks
+      && mark.mcqScore < componentPassMark(definition.mcqPassMarks, definition.mcqMarks, mark.mcqTotal)) {
+      reason = 'Below the MCQ pass mark';
+    } else if (mark.cqTotal > 0 && definition.cqPassMarks
+      && mark.cqScore < componentPassMark(definition.cqPassMarks, definition.cqMarks, mark.cqTotal)) {
+      reason = 'Below the CQ pass mark';
+    } else if (definition.passMarks
+      && totalScore < componentPassMark(definition.passMarks, definition.fullMarks, totalMarks)) {
+      reason = 'Below the subject pass mark';
+    }
+  }
+
+  return reason
+    ? { totalScore, grade: failGrade, gpa: 0, passed: false, reason }
+    : { totalScore, grade, gpa, passed: true, reason: null };
+};
+
+/**
+ * Compute a result's subject grades, totals and GPA
+ * @param {Array} marks - Result marks ({ subject, mcqScore, mcqTotal, cqScore, cqTotal, definition? })
+ * @param {Array} [bands] - Grading bands (default: DEFAULT_BANDS)
+ * @param {object} [rules] - See DEFAULT_RULES; missing keys take the default
+ * @returns {{ marks, totalMcqMarks, totalCqMarks, totalMarks, status, failedSubjects,
+ *   optionalSubject, gpaWithoutOptional, averageGPA }}
+ *   averageGPA includes the optional subject bonus; both GPAs are 0 for a failed result
+ */
+const computeResult = (marks, bands = DEFAULT_BANDS, rules = {}) => {
+  const activeBands = bands && bands.length > 0 ? bands : DEFAULT_BANDS;
+  const activeRules = { ...DEFAULT_RULES, ...rules };
+  const sorted = [...activeBands].sort((a, b) => b.minPercent - a.minPercent);
+  const failGrade = sorted[sorted.length - 1].grade;
+  const maxGPA = Math.max(...activeBands.map(b => b.gpa));
+
+  for (const mark of marks) {
+    if ((mark.mcqScore || 0) > (mark.mcqTotal || 0) || (mark.cqScore || 0) > (mark.cqTotal || 0)) {
+      throw new Error(`Score exceeds total marks for subject ${mark.subject}`);
+    }
+  }
+
+  const graded = marks.map(mark => ({ mark, ...gradeSubject(mark, activeBands, activeRules, failGrade) }));
+
+  // The first optional subject is the "4th subject"; without the bonus rule it counts normally
+  const optional = activeRules.optionalBonusAbove === null || activeRules.optionalBonusAbove === undefined
+    ? null
+    : graded.find(g => g.mark.definition && g.mark.definition.type === 'optional') || null;
+  const compulsory = graded.filter(g => g !== optional);
+
+  const failedSubjects = compulsory.filter(g => !g.passed).map(g => g.mark.subject);
+  const failed = activeRules.failOnAnySubject && failedSubjects.length > 0;
+
+  const gpaSum = compulsory.reduce((sum, g) => sum + g.gpa, 0);
+  const count = compulsory.length;
+  const gpaWithoutOptional = failed || count === 0 ? 0 : round2(gpaSum / count);
+  const bonus = optional && optional.passed ? Math.max(0, optional.gpa - activeRules.optionalBonusAbove) : 0;
+  const averageGPA = failed || count === 0 ? 0 : round2(Math.min(maxGPA, (gpaSum + bonus) / count));
+
+  return {
+    marks: graded.map(g => ({ totalScore: g.totalScore, grade: g.grade, gpa: g.gpa, passed: g.passed })),
+    totalMcqMarks: marks.reduce((sum, m) => sum + (m.mcqScore || 0), 0),
+    totalCqMarks: marks.reduce((sum, m) => sum + (m.cqScore || 0), 0),
+    totalMarks: graded.reduce((sum, g) => sum + g.totalScore, 0),
+    status: failed ? 'fail' : 'pass',
+    failedSubjects,
+    optionalSubject: optional ? optional.mark.subject : null,
+    gpaWithoutOptional,
+    averageGPA,
+  };
+};
+
+module.exports = { DEFAULT_RULES, computeResult };
@@ -0,0 +1,28 @@
+// Pluggable file storage, selected with STORAGE_DRIVER (default "local").
+// A backend exposes:
+//   save(key, buffer, contentType) -> Promise<void>
+//   read(key) -> Promise<Buffer|null>
+//   remove(key) -> Promise<void>
+const drivers = {
+  local: () => require('./localStorage'),
+};
+
+let storage = null;
+
+// Add a backend (e.g. S3) under a name usable in STORAGE_DRIVER
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage, registerStorageDriver };
@@ -0,0 +1,39 @@
+// Local-disk storage backend; files live under UPLOAD_DIR (default ./uploads)
+const fs = require('fs/promises');
+const path = require('path');
+
+const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Keys are relative paths like "students/<id>/photo.jpg"; never allow escaping the root
+const resolveKey = (key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const read = async (key) => {
+  try {
+    return await fs.readFile(resolveKey(key));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+};
+
+module.exports = { save, read, remove };
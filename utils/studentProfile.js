@@ -0,0 +1,146 @@
+// Student profile validation, visibility and photo processing
+const { Jimp } = require('jimp');
+const { getStorage } = require('./storage');
+
+const GENDERS = ['male', 'female', 'other'];
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const PHONE_PATTERN = /^\+?[0-9\s-]{7,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_GUARDIANS = 4;
+const THUMBNAIL_SIZE = 200;
+
+// Roles allowed to read and write financial notes
+const FINANCE_ROLES = ['super_admin', 'admin'];
+
+/**
+ * Validate profile fields from a request body. Only fields present are returned,
+ * so the result can be applied as a partial update; null clears a field.
+ * @returns {{ profile: object, admissionNumber?: string|null }|{ error: string }}
+ */
+const parseProfile = (body = {}) => {
+  const input = body.profile || {};
+  const profile = {};
+
+  if (input.dateOfBirth !== undefined) {
+    const date = input.dateOfBirth === null ? null : new Date(input.dateOfBirth);
+    if (date && (isNaN(date) || date > new Date())) {
+      return { error: 'dateOfBirth must be a valid date in the past' };
+    }
+    profile.dateOfBirth = date;
+  }
+
+  if (input.gender !== undefined) {
+    if (input.gender !== null && !GENDERS.includes(input.gender)) {
+      return { error: `gender must be one of: ${GENDERS.join(', ')}` };
+    }
+    profile.gender = input.gender;
+  }
+
+  if (input.bloodGroup !== undefined) {
+    if (input.bloodGroup !== null && !BLOOD_GROUPS.includes(input.bloodGroup)) {
+      return { error: `bloodGroup must be one of: ${BLOOD_GROUPS.join(', ')}` };
+    }
+    profile.bloodGroup = input.bloodGroup;
+  }
+
+  if (input.address !== undefined) {
+    if (input.address !== null && (typeof input.address !== 'string' || input.address.length > 500)) {
+      return { error: 'address must be text of at most 500 characters' };
+    }
+    profile.address = input.address;
+  }
+
+  if (input.guardians !== undefined) {
+    if (!Array.isArray(input.guardians) || input.guardians.length > MAX_GUARDIANS) {
+      return { error: `guardians must be a list of at most ${MAX_GUARDIANS} contacts` };
+    }
+    for (const guardian of input.guardians) {
+      if (!guardian || !guardian.name || !guardian.phone) {
+        return { error: 'Each guardian needs a name and phone number' };
+      }
+      if (!PHONE_PATTERN.test(guardian.phone)) {
+        return { error: `Invalid phone number: ${guardian.phone}` };
+      }
+      if (guardian.email && !EMAIL_PATTERN.test(guardian.email)) {
+        return { error: `Invalid email: ${guardian.email}` };
+      }
+    }
+    profile.guardians = input.guardians.map(g => ({
+      name: g.name,
+      relation: g.relation,
+      phone: g.phone,
+      email: g.email,
+    }));
+  }
+
+  if (input.financialNotes !== undefined) {
+    if (input.financialNotes !== null && typeof input.financialNotes !== 'string') {
+      return { error: 'financialNotes must be text' };
+    }
+    profile.financialNotes = input.financialNotes;
+  }
+
+  const result = { profile };
+  if (body.admissionNumber !== undefined) {
+    const admissionNumber = body.admissionNumber === null ? null : String(body.admissionNumber).trim();
+    result.admissionNumber = admissionNumber || null;
+  }
+  return result;
+};
+
+/**
+ * Profile as a given viewer may see it: everyone with access to the student sees
+ * contacts; only admins see financial notes
+ * @param {object} student - Student document (select +profile.financialNotes for admins)
+ * @param {object} viewer - req.currentUser
+ */
+const formatProfile = (student, viewer) => {
+  const profile = student.profile || {};
+  return {
+    admissionNumber: student.admissionNumber || null,
+    dateOfBirth: profile.dateOfBirth || null,
+    gender: profile.gender || null,
+    bloodGroup: profile.bloodGroup || null,
+    address: profile.address || null,
+    guardians: profile.guardians || [],
+    hasPhoto: !!(student.photo && student.photo.key),
+    ...(FINANCE_ROLES.includes(viewer.role) && { financialNotes: profile.financialNotes || null }),
+  };
+};
+
+// Detect JPEG/PNG/WebP from the file's leading bytes
+const detectImageType = (buffer) => {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Square JPEG thumbnail cropped from the centre
+const createThumbnail = async (buffer) => {
+  const image = await Jimp.read(buffer);
+  image.cover({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+  return image.getBuffer('image/jpeg', { quality: 80 });
+};
+
+// Delete a student's stored photo and thumbnail (missing files are ignored)
+const removePhotoFiles = async (photo) => {
+  if (!photo) return;
+  const storage = getStorage();
+  for (const key of [photo.key, photo.thumbnailKey]) {
+    if (key) await storage.remove(key);
+  }
+};
+
+module.exports = {
+  FINANCE_ROLES,
+  parseProfile,
+  formatProfile,
+  detectImageType,
+  createThumbnail,
+  removePhotoFiles,
+};
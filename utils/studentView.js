@@ -0,0 +1,86 @@
+// Read-only views of a student's own records, shared by the student (/me) and guardian routes
+
+// Shape a result document for students/guardians
+const formatResult = (result) => ({
+  id: result._id,
+  class: result.class,
+  session: result.session,
+  semester: result.semester,
+  examType: result.examType,
+  marks: result.marks,
+  totalMcqMarks: result.totalMcqMarks,
+  totalCqMarks: result.totalCqMarks,
+  totalMarks: result.totalMarks,
+  status: result.status,
+  failedSubjects: result.failedSubjects,
+  optionalSubject: result.optionalSubject,
+  gpaWithoutOptional: result.gpaWithoutOptional,
+  averageGPA: result.averageGPA,
+  version: result.version,
+  createdAt: result.createdAt,
+  updatedAt: result.updatedAt,
+});
+
+/**
+ * Keep the latest result for every academic session + semester + exam type
+ * @param {Array} results - Result documents sorted newest first
+ * @returns {Array} Formatted results ordered by semester, then exam type (newest session first)
+ */
+const latestResults = (results) => {
+  // Results are unique per session + semester + exam type; data not yet run through
+  // database/migrations/mergeDuplicateResults.js may still hold resubmissions, newest wins
+  const latest = new Map();
+  const sessionOrder = new Map();
+  for (const result of results) {
+    const key = `${result.session}:${result.semester}:${result.examType}`;
+    if (!latest.has(key)) latest.set(key, result);
+    if (!sessionOrder.has(String(result.session))) sessionOrder.set(String(result.session), sessionOrder.size);
+  }
+
+  return [...latest.values()]
+    .sort((a, b) => (
+      sessionOrder.get(String(a.session)) - sessionOrder.get(String(b.session)) ||
+      a.semester.localeCompare(b.semester) ||
+      a.examType.localeCompare(b.examType)
+    ))
+    .map(formatResult);
+};
+
+/**
+ * Payment status and due dates from a student's paymentDetails
+ * @param {object} student - Student document
+ * @param {object} [session] - Only include payments for this academic session
+ */
+const formatPayments = (student, session = null) => {
+  const now = new Date();
+
+  const details = session
+    ? student.paymentDetails.filter(p => p.session && p.session.equals(session._id))
+    : student.paymentDetails;
+
+  const payments = details.map((payment) => {
+    const isOverdue = !payment.isPaid && now > payment.dueDate;
+    return {
+      id: payment._id,
+      dueDate: payment.dueDate,
+      initialAmount: payment.initialAmount,
+      increasedAmount: payment.increasedAmount,
+      isPaid: payment.isPaid,
+      isOverdue,
+      amountDue: payment.isPaid ? 0 : isOverdue ? payment.increasedAmount : payment.initialAmount,
+      session: payment.session,
+      createdAt: payment.createdAt,
+    };
+  });
+
+  const nextDue = payments.filter(p => !p.isPaid).sort((a, b) => a.dueDate - b.dueDate)[0] || null;
+
+  return {
+    paymentAmount: student.paymentAmount,
+    hasPaid: student.hasPaid,
+    nextDueDate: nextDue ? nextDue.dueDate : null,
+    payments,
+  };
+};
+
+module.exports = { formatResult, latestResults, formatPayments };
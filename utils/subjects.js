@@ -0,0 +1,32 @@
+const { Subject } = require('../model/schema');
+
+// Subjects of a class in display order
+const classSubjects = className => Subject.find({ classes: className }).sort({ order: 1, name: 1 });
+
+/**
+ * Subjects taught in a section: the ones named on the section, otherwise every subject of the class
+ * @param {object} section - Section document
+ * @param {string} className - Canonical class name
+ * @returns {Promise<Array>} Subject documents
+ */
+const sectionSubjects = async (section, className) => {
+  const subjects = await classSubjects(className);
+  if (!section || !section.subjects || section.subjects.length === 0) return subjects;
+  return subjects.filter(subject => section.subjects.includes(subject.name));
+};
+
+// Subject fields saved with each result mark
+const subjectSnapshot = subject => ({
+  subject: subject._id,
+  code: subject.code,
+  name: subject.name,
+  fullMarks: subject.fullMarks,
+  mcqMarks: subject.mcqMarks,
+  cqMarks: subject.cqMarks,
+  passMarks: subject.passMarks,
+  mcqPassMarks: subject.mcqPassMarks,
+  cqPassMarks: subject.cqPassMarks,
+  type: subject.type,
+});
+
+module.exports = { classSubjects, sectionSubjects, subjectSnapshot };
@@ -0,0 +1,14 @@
+// Accounts carry a tokenVersion that is embedded in access tokens as `tv` and
+// checked by authenticateToken (middleware/auth.js).
+
+/**
+ * Invalidate every access and refresh token already issued to an account.
+ * The caller is responsible for saving the document.
+ * @param {object} account - User or Student document
+ */
+const bumpTokenVersion = (account) => {
+  account.tokenVersion = (account.tokenVersion || 0) + 1;
+  account.refreshTokens = [];
+};
+
+module.exports = { bumpTokenVersion };
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers reject transactions ("Transaction numbers are only allowed
+// on a replica set member or mongos"); see README.md
+const transactionsUnsupported = err => (
+  err && (err.code === 20 || /replica set member or mongos/i.test(err.message || ''))
+);
+
+let warned = false;
+
+/**
+ * Run writes in a transaction, or without one when the server cannot run transactions
+ * (a standalone server; the writes are then not all-or-nothing)
+ * @param {Function} work - async (session) => ...; session is null without a transaction
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } catch (err) {
+    if (!transactionsUnsupported(err)) throw err;
+    if (!warned) {
+      console.error('MongoDB transactions are unavailable (not a replica set); writing without a transaction');
+      warned = true;
+    }
+    await work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { runInTransaction };